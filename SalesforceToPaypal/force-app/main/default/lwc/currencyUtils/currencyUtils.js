@@ -0,0 +1,16 @@
+import LOCALE from '@salesforce/i18n/locale';
+
+// Formats an amount in its currency for the user's locale, e.g. $1,234.50 or ¥1,235.
+// Decimal places default to the currency's ISO minor units; pass the registry value to match what PayPal receives.
+export function formatCurrency(amount, currencyCode, decimalPlaces) {
+    if (amount === null || amount === undefined || amount === '' || !currencyCode) {
+        return '';
+    }
+
+    const options = { style: 'currency', currency: currencyCode };
+    if (decimalPlaces !== null && decimalPlaces !== undefined) {
+        options.minimumFractionDigits = decimalPlaces;
+        options.maximumFractionDigits = decimalPlaces;
+    }
+    return new Intl.NumberFormat(LOCALE, options).format(amount);
+}
\ No newline at end of file
@@ -0,0 +1,180 @@
+import { createElement } from 'lwc';
+import PaymentDispute from 'c/paymentDispute';
+import getDisputeForRecord from '@salesforce/apex/PayPalDisputeService.getDisputeForRecord';
+import getEvidenceCandidates from '@salesforce/apex/PayPalDisputeService.getEvidenceCandidates';
+import acceptClaim from '@salesforce/apex/PayPalDisputeService.acceptClaim';
+import provideEvidence from '@salesforce/apex/PayPalDisputeService.provideEvidence';
+
+jest.mock(
+    '@salesforce/apex/PayPalDisputeService.getDisputeForRecord',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalDisputeService.getEvidenceCandidates',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalDisputeService.acceptClaim',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalDisputeService.sendMessage',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalDisputeService.provideEvidence',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalDisputeService.syncDispute',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const mockDispute = {
+    Id: 'a09000000000001',
+    Name: 'PPD-00000001',
+    PayPal_Dispute_ID__c: 'PP-D-TEST-1',
+    Status__c: 'Waiting For Seller Response',
+    Stage__c: 'Chargeback',
+    Reason__c: 'Merchandise Not Received',
+    Amount__c: 100,
+    Currency_Code__c: 'USD',
+    Seller_Response_Due__c: '2020-02-01T07:00:00.000Z'
+};
+
+const mockFiles = [
+    { Id: '069000000000001', Title: 'tracking', FileExtension: 'pdf', ContentSize: 2048 }
+];
+
+describe('c-payment-dispute', () => {
+    const flushPromises = () => Promise.resolve();
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-payment-dispute', {
+            is: PaymentDispute
+        });
+        element.recordId = 'a09000000000001';
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('shows the dispute stage, amount and overdue deadline', async () => {
+        const element = createComponent();
+
+        getDisputeForRecord.emit(mockDispute);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="dispute-status"]').textContent).toBe('Waiting For Seller Response');
+        expect(element.shadowRoot.querySelector('[data-id="dispute-amount"]').textContent).toContain('100.00');
+        expect(element.shadowRoot.querySelector('[data-id="overdue-badge"]')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="accept-btn"]').disabled).toBe(false);
+    });
+
+    it('disables actions on a resolved dispute', async () => {
+        const element = createComponent();
+
+        getDisputeForRecord.emit({ ...mockDispute, Status__c: 'Resolved', Outcome__c: 'RESOLVED_SELLER_FAVOUR' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="accept-btn"]').disabled).toBe(true);
+        expect(element.shadowRoot.querySelector('[data-id="evidence-btn"]').disabled).toBe(true);
+        expect(element.shadowRoot.querySelector('[data-id="overdue-badge"]')).toBeNull();
+    });
+
+    it('shows an empty message without a dispute', async () => {
+        const element = createComponent();
+
+        getDisputeForRecord.emit(null);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="empty-message"]')).not.toBeNull();
+    });
+
+    it('accepts the claim with a note to the buyer', async () => {
+        acceptClaim.mockResolvedValue({ ...mockDispute, Status__c: 'Resolved' });
+        const element = createComponent();
+
+        getDisputeForRecord.emit(mockDispute);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="accept-btn"]').click();
+        await flushPromises();
+
+        const noteInput = element.shadowRoot.querySelector('[data-id="note-input"]');
+        noteInput.value = 'Refunding in full';
+        noteInput.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('[data-id="submit-accept-btn"]').click();
+        await flushPromises();
+
+        expect(acceptClaim).toHaveBeenCalledWith({ disputeId: 'PP-D-TEST-1', note: 'Refunding in full' });
+    });
+
+    it('provides evidence with the selected files', async () => {
+        provideEvidence.mockResolvedValue({ ...mockDispute, Status__c: 'Under Review' });
+        const element = createComponent();
+
+        getDisputeForRecord.emit(mockDispute);
+        getEvidenceCandidates.emit(mockFiles);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="evidence-btn"]').click();
+        await flushPromises();
+
+        const fileGroup = element.shadowRoot.querySelector('[data-id="evidence-files"]');
+        expect(fileGroup.options).toEqual([{ label: 'tracking.pdf', value: '069000000000001' }]);
+        fileGroup.dispatchEvent(new CustomEvent('change', { detail: { value: ['069000000000001'] } }));
+        element.shadowRoot.querySelector('[data-id="submit-evidence-btn"]').click();
+        await flushPromises();
+
+        expect(provideEvidence).toHaveBeenCalledWith({
+            disputeId: 'PP-D-TEST-1',
+            evidenceType: 'PROOF_OF_FULFILLMENT',
+            notes: null,
+            contentDocumentIds: ['069000000000001']
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,207 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getDisputeForRecord from '@salesforce/apex/PayPalDisputeService.getDisputeForRecord';
+import getEvidenceCandidates from '@salesforce/apex/PayPalDisputeService.getEvidenceCandidates';
+import acceptClaim from '@salesforce/apex/PayPalDisputeService.acceptClaim';
+import sendMessage from '@salesforce/apex/PayPalDisputeService.sendMessage';
+import provideEvidence from '@salesforce/apex/PayPalDisputeService.provideEvidence';
+import syncDispute from '@salesforce/apex/PayPalDisputeService.syncDispute';
+import { formatCurrency } from 'c/currencyUtils';
+
+// Disputes the seller can still act on
+const OPEN_STATUSES = ['Open', 'Waiting For Buyer Response', 'Waiting For Seller Response', 'Under Review'];
+
+export default class PaymentDispute extends LightningElement {
+    @api recordId;
+
+    @track dispute;
+    @track files = [];
+    @track isLoading = true;
+    @track error;
+    @track activeForm;
+    @track note = '';
+    @track evidenceType = 'PROOF_OF_FULFILLMENT';
+    @track selectedFileIds = [];
+
+    wiredDisputeResult;
+    wiredFilesResult;
+
+    acceptedFormats = ['.pdf', '.jpg', '.jpeg', '.gif', '.png'];
+
+    evidenceTypeOptions = [
+        { label: 'Proof of Fulfillment', value: 'PROOF_OF_FULFILLMENT' },
+        { label: 'Proof of Delivery Signature', value: 'PROOF_OF_DELIVERY_SIGNATURE' },
+        { label: 'Proof of Refund', value: 'PROOF_OF_REFUND' },
+        { label: 'Proof of Refund Outside PayPal', value: 'PROOF_OF_REFUND_OUTSIDE_PAYPAL' },
+        { label: 'Proof of Receipt Copy', value: 'PROOF_OF_RECEIPT_COPY' },
+        { label: 'Proof of Reshipment', value: 'PROOF_OF_RESHIPMENT' },
+        { label: 'Receipt of Merchandise', value: 'RECEIPT_OF_MERCHANDISE' },
+        { label: 'Item Description', value: 'ITEM_DESCRIPTION' },
+        { label: 'Return Policy', value: 'RETURN_POLICY' },
+        { label: 'Billing Agreement', value: 'BILLING_AGREEMENT' },
+        { label: 'Copy of Contract', value: 'COPY_OF_CONTRACT' },
+        { label: 'Other', value: 'OTHER' }
+    ];
+
+    @wire(getDisputeForRecord, { recordId: '$recordId' })
+    wiredDispute(result) {
+        this.wiredDisputeResult = result;
+        if (result.data !== undefined) {
+            this.dispute = result.data;
+            this.error = null;
+            this.isLoading = false;
+        } else if (result.error) {
+            this.error = result.error;
+            this.dispute = null;
+            this.isLoading = false;
+            this.showToast('Error', 'Failed to load dispute', 'error');
+        }
+    }
+
+    @wire(getEvidenceCandidates, { recordId: '$recordId' })
+    wiredFiles(result) {
+        this.wiredFilesResult = result;
+        if (result.data) {
+            this.files = result.data;
+        }
+    }
+
+    get hasDispute() {
+        return !!this.dispute;
+    }
+
+    get isOpen() {
+        return this.hasDispute && OPEN_STATUSES.includes(this.dispute.Status__c);
+    }
+
+    get syncDisabled() {
+        return this.isLoading || !this.hasDispute;
+    }
+
+    get actionsDisabled() {
+        return this.isLoading || !this.isOpen;
+    }
+
+    get formattedAmount() {
+        return this.dispute ? formatCurrency(this.dispute.Amount__c, this.dispute.Currency_Code__c) : '';
+    }
+
+    // PayPal decides for the buyer once the seller response deadline passes
+    get isResponseOverdue() {
+        return this.isOpen && !!this.dispute.Seller_Response_Due__c && new Date(this.dispute.Seller_Response_Due__c) < new Date();
+    }
+
+    get showAcceptForm() {
+        return this.activeForm === 'accept';
+    }
+
+    get showMessageForm() {
+        return this.activeForm === 'message';
+    }
+
+    get showEvidenceForm() {
+        return this.activeForm === 'evidence';
+    }
+
+    get hasFiles() {
+        return this.files && this.files.length > 0;
+    }
+
+    get fileOptions() {
+        return this.files.map(file => ({
+            label: `${file.Title}.${file.FileExtension}`,
+            value: file.Id
+        }));
+    }
+
+    get uploadRecordId() {
+        return this.dispute ? this.dispute.Id : null;
+    }
+
+    handleShowForm(event) {
+        const form = event.target.dataset.form;
+        this.activeForm = this.activeForm === form ? null : form;
+        this.note = '';
+    }
+
+    handleCancelForm() {
+        this.activeForm = null;
+    }
+
+    handleNoteChange(event) {
+        this.note = event.target.value;
+    }
+
+    handleEvidenceTypeChange(event) {
+        this.evidenceType = event.detail.value;
+    }
+
+    handleFileSelection(event) {
+        this.selectedFileIds = event.detail.value;
+    }
+
+    // Uploaded files are attached to the dispute record and selected for the next submission
+    async handleUploadFinished(event) {
+        const uploadedIds = event.detail.files.map(file => file.documentId);
+        await refreshApex(this.wiredFilesResult);
+        this.selectedFileIds = [...this.selectedFileIds, ...uploadedIds];
+    }
+
+    handleAcceptClaim() {
+        this.runAction(
+            () => acceptClaim({ disputeId: this.dispute.PayPal_Dispute_ID__c, note: this.note }),
+            'Claim accepted'
+        );
+    }
+
+    handleSendMessage() {
+        this.runAction(
+            () => sendMessage({ disputeId: this.dispute.PayPal_Dispute_ID__c, message: this.note }),
+            'Message sent to the buyer'
+        );
+    }
+
+    handleProvideEvidence() {
+        this.runAction(
+            () => provideEvidence({
+                disputeId: this.dispute.PayPal_Dispute_ID__c,
+                evidenceType: this.evidenceType,
+                notes: this.note || null,
+                contentDocumentIds: this.selectedFileIds
+            }),
+            'Evidence submitted'
+        );
+    }
+
+    handleSync() {
+        this.runAction(() => syncDispute({ disputeId: this.dispute.PayPal_Dispute_ID__c }), 'Dispute refreshed');
+    }
+
+    async runAction(action, successMessage) {
+        this.isLoading = true;
+
+        try {
+            await action();
+            this.showToast('Success', successMessage, 'success');
+            this.activeForm = null;
+            this.note = '';
+            this.selectedFileIds = [];
+            await refreshApex(this.wiredDisputeResult);
+        } catch (error) {
+            console.error('Dispute action error:', error);
+            this.showToast('Error', 'Dispute action failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file
@@ -2,6 +2,17 @@ import { createElement } from 'lwc';
 import { ShowToastEventName } from 'lightning/platformShowToastEvent';
 import PaymentForm from 'c/paymentForm';
 import processPayment from '@salesforce/apex/PaymentProcessor.processPayment';
+import getCircuitStatus from '@salesforce/apex/PayPalCircuitBreaker.getCircuitStatus';
+import cancelOrder from '@salesforce/apex/PayPalService.cancelOrder';
+import getCurrencies from '@salesforce/apex/PayPalCurrencyRegistry.getCurrencies';
+import getSdkConfiguration from '@salesforce/apex/PayPalAuthManager.getSdkConfiguration';
+import createAuthorizationOrder from '@salesforce/apex/PayPalService.createAuthorizationOrder';
+import createCardOrder from '@salesforce/apex/PayPalService.createCardOrder';
+import captureCardOrder from '@salesforce/apex/PayPalService.captureCardOrder';
+import getSavedPaymentMethods from '@salesforce/apex/PayPalVaultService.getSavedPaymentMethods';
+import createVaultingOrder from '@salesforce/apex/PayPalVaultService.createVaultingOrder';
+import payWithSavedPaymentMethod from '@salesforce/apex/PayPalVaultService.payWithSavedPaymentMethod';
+import { loadScript } from 'lightning/platformResourceLoader';
 
 // Mock the Apex method
 jest.mock(
@@ -15,6 +26,97 @@ jest.mock(
     { virtual: true }
 );
 
+jest.mock(
+    '@salesforce/apex/PayPalAuthManager.getAuthStatus',
+    () => ({ default: jest.fn().mockResolvedValue({ isAuthenticated: true, hasToken: true }) }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalCircuitBreaker.getCircuitStatus',
+    () => ({ default: jest.fn().mockResolvedValue({ states: {}, unavailable: [], retryAfterSeconds: 0 }) }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.cancelOrder',
+    () => ({ default: jest.fn().mockResolvedValue('Cancelled') }),
+    { virtual: true }
+);
+
+const MOCK_CURRENCIES = [
+    { code: 'USD', label: 'US Dollar', decimalPlaces: 2, minimumAmount: 0.01, maximumAmount: 10000 },
+    { code: 'EUR', label: 'Euro', decimalPlaces: 2, minimumAmount: 0.01, maximumAmount: 10000 },
+    { code: 'GBP', label: 'British Pound', decimalPlaces: 2, minimumAmount: 0.01, maximumAmount: 10000 },
+    { code: 'CAD', label: 'Canadian Dollar', decimalPlaces: 2, minimumAmount: 0.01, maximumAmount: 10000 },
+    { code: 'AUD', label: 'Australian Dollar', decimalPlaces: 2, minimumAmount: 0.01, maximumAmount: 10000 },
+    { code: 'JPY', label: 'Japanese Yen', decimalPlaces: 0, minimumAmount: 1, maximumAmount: 1000000 }
+];
+
+jest.mock(
+    '@salesforce/apex/PayPalCurrencyRegistry.getCurrencies',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const MOCK_SDK_CONFIGURATION = {
+    clientId: 'TEST_CLIENT_ID',
+    environment: 'Sandbox',
+    enabledFunding: ['venmo'],
+    locale: 'en_US',
+    intent: 'CAPTURE'
+};
+
+jest.mock(
+    '@salesforce/apex/PayPalAuthManager.getSdkConfiguration',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.createAuthorizationOrder',
+    () => ({ default: jest.fn().mockResolvedValue({ id: 'AUTH_ORDER_1' }) }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.createCardOrder',
+    () => ({ default: jest.fn().mockResolvedValue({ id: 'CARD_ORDER_1' }) }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.captureCardOrder',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.authorizeCardOrder',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalVaultService.getSavedPaymentMethods',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalVaultService.createVaultingOrder',
+    () => ({ default: jest.fn().mockResolvedValue({ id: 'VAULT_ORDER_1' }) }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalVaultService.payWithSavedPaymentMethod',
+    () => ({ default: jest.fn().mockResolvedValue({ id: 'SAVED_ORDER_1', status: 'COMPLETED' }) }),
+    { virtual: true }
+);
+
+jest.mock('lightning/platformResourceLoader', () => ({ loadScript: jest.fn() }), { virtual: true });
+
 // Mock PayPal SDK
 global.paypal = {
     Buttons: jest.fn(() => ({
@@ -22,6 +124,12 @@ global.paypal = {
     }))
 };
 
+beforeEach(() => {
+    getCurrencies.mockResolvedValue(MOCK_CURRENCIES);
+    getSdkConfiguration.mockResolvedValue(MOCK_SDK_CONFIGURATION);
+    loadScript.mockResolvedValue();
+});
+
 describe('c-payment-form', () => {
     afterEach(() => {
         // The jsdom instance is shared across test cases in a single file so reset the DOM
@@ -290,4 +398,568 @@ describe('c-payment-form', () => {
         // Verify record context is used in payment processing
         expect(element.recordId).toBe('0031234567890ABC');
     });
+});
+
+// Lets the Apex calls, SDK load and re-render chained in connectedCallback settle
+// eslint-disable-next-line @lwc/lwc/no-async-operation
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('c-payment-form circuit breaker', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function createFormWithValidInput() {
+        const element = createElement('c-payment-form', {
+            is: PaymentForm
+        });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        amountInput.value = '25.00';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        descriptionInput.value = 'Consulting';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        return element;
+    }
+
+    it('shows the unavailable banner instead of the buttons while the orders circuit is open', async () => {
+        getCircuitStatus.mockResolvedValue({
+            states: { orders: 'OPEN', payments: 'CLOSED', oauth: 'CLOSED' },
+            unavailable: ['orders'],
+            retryAfterSeconds: 45
+        });
+
+        const element = await createFormWithValidInput();
+
+        const banner = element.shadowRoot.querySelector('[data-id="paypal-unavailable-banner"]');
+        expect(banner).not.toBeNull();
+        expect(banner.textContent).toContain('try again in 45 seconds');
+        expect(element.shadowRoot.querySelector('[data-id="paypal-button-container"]')).toBeNull();
+    });
+
+    it('shows the buttons when only the payments circuit is open', async () => {
+        getCircuitStatus.mockResolvedValue({
+            states: { orders: 'CLOSED', payments: 'OPEN', oauth: 'CLOSED' },
+            unavailable: ['payments'],
+            retryAfterSeconds: 45
+        });
+
+        const element = await createFormWithValidInput();
+
+        expect(element.shadowRoot.querySelector('[data-id="paypal-unavailable-banner"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="paypal-button-container"]')).not.toBeNull();
+    });
+
+    it('checks availability again on request', async () => {
+        getCircuitStatus.mockResolvedValueOnce({ states: {}, unavailable: ['oauth'], retryAfterSeconds: 0 });
+        getCircuitStatus.mockResolvedValueOnce({ states: {}, unavailable: [], retryAfterSeconds: 0 });
+
+        const element = await createFormWithValidInput();
+        element.shadowRoot.querySelector('[data-id="check-availability-btn"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getCircuitStatus).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelector('[data-id="paypal-unavailable-banner"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="paypal-button-container"]')).not.toBeNull();
+    });
+});
+
+// The platformShowToastEvent stub does not export its event name
+const SHOW_TOAST_EVENT = 'lightning__showtoast';
+
+describe('c-payment-form cancellation', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function renderButtons() {
+        const element = createElement('c-payment-form', {
+            is: PaymentForm
+        });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        descriptionInput.value = 'Consulting';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        amountInput.value = '25.00';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        return element;
+    }
+
+    it('cancels the order in Salesforce when the buyer closes PayPal', async () => {
+        const element = await renderButtons();
+        const toastHandler = jest.fn();
+        element.addEventListener(SHOW_TOAST_EVENT, toastHandler);
+
+        const buttonsConfig = global.paypal.Buttons.mock.calls[0][0];
+        await buttonsConfig.onCancel({ orderID: 'ORDER123' });
+
+        expect(cancelOrder).toHaveBeenCalledWith({ orderId: 'ORDER123' });
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('info');
+    });
+
+    it('still tells the buyer the payment was cancelled when cancelling fails', async () => {
+        cancelOrder.mockRejectedValueOnce({ body: { message: 'Unavailable' } });
+        const element = await renderButtons();
+        const toastHandler = jest.fn();
+        element.addEventListener(SHOW_TOAST_EVENT, toastHandler);
+
+        const buttonsConfig = global.paypal.Buttons.mock.calls[0][0];
+        await buttonsConfig.onCancel({ orderID: 'ORDER123' });
+
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Payment was cancelled');
+    });
+});
+
+describe('c-payment-form currencies', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function createForm() {
+        const element = createElement('c-payment-form', {
+            is: PaymentForm
+        });
+        document.body.appendChild(element);
+        await flushPromises();
+        await flushPromises();
+        return element;
+    }
+
+    function selectCurrency(element, currencyCode) {
+        const currencySelect = element.shadowRoot.querySelector('lightning-combobox');
+        currencySelect.value = currencyCode;
+        currencySelect.dispatchEvent(new CustomEvent('change'));
+    }
+
+    it('loads the currency options from the registry', async () => {
+        const element = await createForm();
+
+        const options = element.shadowRoot.querySelector('lightning-combobox').options;
+        expect(options.map((option) => option.value)).toEqual(['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY']);
+        expect(options[5].label).toBe('JPY - Japanese Yen');
+    });
+
+    it('only accepts whole amounts for zero-decimal currencies', async () => {
+        const element = await createForm();
+        selectCurrency(element, 'JPY');
+        await flushPromises();
+
+        const amountInput = element.shadowRoot.querySelector('lightning-input');
+        expect(amountInput.step).toBe('1');
+        expect(amountInput.min).toBe(1);
+        expect(amountInput.max).toBe(1000000);
+    });
+
+    it('formats the payment summary in the selected currency', async () => {
+        const element = await createForm();
+        selectCurrency(element, 'JPY');
+
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        amountInput.value = '1500';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        descriptionInput.value = 'Consulting';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.payment-summary').textContent).toContain('¥1,500');
+    });
+
+    it('does not offer checkout for amounts above the currency maximum', async () => {
+        const element = await createForm();
+
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        amountInput.value = '10000.01';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        descriptionInput.value = 'Consulting';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.payment-summary')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="paypal-button-container"]')).toBeNull();
+    });
+});
+
+describe('c-payment-form PayPal SDK', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function createForm(properties = {}) {
+        const element = createElement('c-payment-form', {
+            is: PaymentForm
+        });
+        Object.assign(element, properties);
+        document.body.appendChild(element);
+        await flushPromises();
+        return element;
+    }
+
+    async function fillForm(element) {
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        amountInput.value = '25.00';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        descriptionInput.value = 'Consulting';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+    }
+
+    function lastSdkUrl() {
+        return new URL(loadScript.mock.calls[loadScript.mock.calls.length - 1][1]);
+    }
+
+    it('loads the SDK with the configured client ID, funding sources and locale', async () => {
+        await createForm();
+
+        const sdkUrl = lastSdkUrl();
+        expect(sdkUrl.origin + sdkUrl.pathname).toBe('https://www.paypal.com/sdk/js');
+        expect(sdkUrl.searchParams.get('client-id')).toBe('TEST_CLIENT_ID');
+        expect(sdkUrl.searchParams.get('currency')).toBe('USD');
+        expect(sdkUrl.searchParams.get('intent')).toBe('capture');
+        expect(sdkUrl.searchParams.get('enable-funding')).toBe('venmo');
+        expect(sdkUrl.searchParams.get('locale')).toBe('en_US');
+    });
+
+    it('reloads the SDK when the currency changes', async () => {
+        const element = await createForm();
+
+        const currencySelect = element.shadowRoot.querySelector('lightning-combobox');
+        currencySelect.value = 'EUR';
+        currencySelect.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(loadScript).toHaveBeenCalledTimes(2);
+        expect(lastSdkUrl().searchParams.get('currency')).toBe('EUR');
+    });
+
+    it('renders the buttons once the SDK has loaded and the form is valid', async () => {
+        const element = await createForm();
+        await fillForm(element);
+
+        expect(global.paypal.Buttons).toHaveBeenCalledTimes(1);
+        expect(element.shadowRoot.querySelector('[data-id="paypal-sdk-error"]')).toBeNull();
+    });
+
+    it('shows the load failure and loads again on request', async () => {
+        loadScript.mockRejectedValueOnce(new Error('Blocked'));
+        const element = await createForm();
+        await fillForm(element);
+
+        const sdkError = element.shadowRoot.querySelector('[data-id="paypal-sdk-error"]');
+        expect(sdkError.textContent).toContain('PayPal checkout could not be loaded');
+        expect(element.shadowRoot.querySelector('[data-id="paypal-button-container"]')).toBeNull();
+
+        element.shadowRoot.querySelector('[data-id="retry-sdk-btn"]').click();
+        await flushPromises();
+
+        expect(loadScript).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelector('[data-id="paypal-sdk-error"]')).toBeNull();
+        expect(global.paypal.Buttons).toHaveBeenCalledTimes(1);
+    });
+
+    it('shows a configuration error when the client ID is missing', async () => {
+        getSdkConfiguration.mockRejectedValueOnce({ body: { message: 'PayPal client ID is not configured' } });
+        const element = await createForm();
+
+        expect(loadScript).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('[data-id="paypal-sdk-error"]').textContent).toContain('not configured');
+    });
+
+    it('shows a render failure as component state', async () => {
+        global.paypal.Buttons.mockReturnValueOnce({ render: jest.fn().mockRejectedValue(new Error('Ineligible')) });
+        const element = await createForm();
+        await fillForm(element);
+
+        expect(element.shadowRoot.querySelector('[data-id="paypal-sdk-error"]').textContent).toContain('PayPal buttons could not be displayed');
+    });
+
+    it('creates authorization orders when the intent is AUTHORIZE', async () => {
+        const element = await createForm({ intent: 'AUTHORIZE' });
+        await fillForm(element);
+
+        expect(lastSdkUrl().searchParams.get('intent')).toBe('authorize');
+        const orderId = await global.paypal.Buttons.mock.calls[0][0].createOrder();
+        expect(orderId).toBe('AUTH_ORDER_1');
+        expect(createAuthorizationOrder).toHaveBeenCalledWith(expect.objectContaining({ amount: 25, currencyCode: 'USD' }));
+    });
+
+    it('takes the payment against the record the form is on', async () => {
+        const element = await createForm({ intent: 'AUTHORIZE', recordId: '0061234567890ABC', objectApiName: 'Opportunity' });
+        await fillForm(element);
+
+        await global.paypal.Buttons.mock.calls[0][0].createOrder();
+        expect(createAuthorizationOrder).toHaveBeenCalledWith(expect.objectContaining({ recordId: '0061234567890ABC' }));
+    });
+});
+
+describe('c-payment-form saved payment methods', () => {
+    const MOCK_SAVED_METHODS = [
+        { id: 'a0B000000000001', payerEmail: 'buyer@example.com', consentDate: '2024-01-15T10:00:00.000Z' }
+    ];
+
+    beforeEach(() => {
+        getSavedPaymentMethods.mockResolvedValue(MOCK_SAVED_METHODS);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function createForm(properties = {}) {
+        const element = createElement('c-payment-form', {
+            is: PaymentForm
+        });
+        Object.assign(element, { recordId: '0031234567890ABC', objectApiName: 'Contact' }, properties);
+        document.body.appendChild(element);
+        await flushPromises();
+        return element;
+    }
+
+    async function fillForm(element) {
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        amountInput.value = '25.00';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        descriptionInput.value = 'Repeat order';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+    }
+
+    it('saves the PayPal account only when the buyer agrees', async () => {
+        const element = await createForm();
+        await fillForm(element);
+
+        const consent = element.shadowRoot.querySelector('[data-id="save-payment-method"]');
+        expect(consent.checked).toBe(false);
+        consent.checked = true;
+        consent.dispatchEvent(new CustomEvent('change'));
+
+        const orderId = await global.paypal.Buttons.mock.calls[0][0].createOrder();
+        expect(orderId).toBe('VAULT_ORDER_1');
+        expect(createVaultingOrder).toHaveBeenCalledWith(expect.objectContaining({ amount: 25, recordId: '0031234567890ABC' }));
+    });
+
+    it('does not offer to save the account without a record or for authorizations', async () => {
+        const withoutRecord = await createForm({ recordId: undefined });
+        expect(withoutRecord.shadowRoot.querySelector('[data-id="save-payment-method"]')).toBeNull();
+
+        const authorization = await createForm({ intent: 'AUTHORIZE' });
+        expect(authorization.shadowRoot.querySelector('[data-id="save-payment-method"]')).toBeNull();
+        expect(authorization.shadowRoot.querySelector('[data-id="saved-payment-methods"]')).toBeNull();
+    });
+
+    it('pays with a saved PayPal account', async () => {
+        const element = await createForm();
+        const handler = jest.fn();
+        element.addEventListener('paymentcomplete', handler);
+
+        const select = element.shadowRoot.querySelector('[data-id="saved-payment-method-select"]');
+        expect(select.options).toEqual([{ label: 'buyer@example.com', value: 'a0B000000000001' }]);
+        expect(element.shadowRoot.querySelector('[data-id="pay-with-saved-btn"]').disabled).toBe(true);
+
+        await fillForm(element);
+        element.shadowRoot.querySelector('[data-id="pay-with-saved-btn"]').click();
+        await flushPromises();
+
+        expect(payWithSavedPaymentMethod).toHaveBeenCalledWith({
+            paymentMethodId: 'a0B000000000001',
+            amount: 25,
+            currencyCode: 'USD',
+            description: 'Repeat order',
+            recordId: '0031234567890ABC'
+        });
+        expect(handler).toHaveBeenCalled();
+        expect(handler.mock.calls[0][0].detail.orderId).toBe('SAVED_ORDER_1');
+    });
+
+    it('does not report success when PayPal cannot charge the saved account', async () => {
+        payWithSavedPaymentMethod.mockResolvedValueOnce({ id: 'SAVED_ORDER_2', status: 'PAYER_ACTION_REQUIRED' });
+        const element = await createForm();
+        const paymentHandler = jest.fn();
+        const toastHandler = jest.fn();
+        element.addEventListener('paymentcomplete', paymentHandler);
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        await fillForm(element);
+        element.shadowRoot.querySelector('[data-id="pay-with-saved-btn"]').click();
+        await flushPromises();
+
+        expect(paymentHandler).not.toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('error');
+        expect(element.shadowRoot.querySelectorAll('lightning-input')[0].value).toBe('25.00');
+    });
+
+    it('shows a payment PayPal has not completed yet as pending', async () => {
+        payWithSavedPaymentMethod.mockResolvedValueOnce({ id: 'SAVED_ORDER_3', status: 'APPROVED' });
+        const element = await createForm();
+        const paymentHandler = jest.fn();
+        const toastHandler = jest.fn();
+        element.addEventListener('paymentcomplete', paymentHandler);
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        await fillForm(element);
+        element.shadowRoot.querySelector('[data-id="pay-with-saved-btn"]').click();
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail.title).toBe('Payment Pending');
+        expect(paymentHandler.mock.calls[0][0].detail.captureResponse.status).toBe('APPROVED');
+    });
+
+    it('hides the saved accounts when there are none', async () => {
+        getSavedPaymentMethods.mockResolvedValue([]);
+        const element = await createForm();
+
+        expect(element.shadowRoot.querySelector('[data-id="saved-payment-methods"]')).toBeNull();
+    });
+});
+
+describe('c-payment-form card fields', () => {
+    let cardFieldsOptions;
+    let mockCardFields;
+
+    beforeEach(() => {
+        const createField = () => ({ render: jest.fn() });
+        mockCardFields = {
+            isEligible: jest.fn(() => true),
+            NameField: jest.fn(createField),
+            NumberField: jest.fn(createField),
+            ExpiryField: jest.fn(createField),
+            CVVField: jest.fn(createField),
+            // PayPal creates the order, runs 3-D Secure and approves on submit
+            submit: jest.fn(async () => {
+                const orderID = await cardFieldsOptions.createOrder();
+                await cardFieldsOptions.onApprove({ orderID, liabilityShift: 'POSSIBLE' });
+            })
+        };
+        global.paypal.CardFields = jest.fn((options) => {
+            cardFieldsOptions = options;
+            return mockCardFields;
+        });
+    });
+
+    afterEach(() => {
+        delete global.paypal.CardFields;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function createForm() {
+        const element = createElement('c-payment-form', {
+            is: PaymentForm
+        });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const [amountInput, descriptionInput] = element.shadowRoot.querySelectorAll('lightning-input');
+        amountInput.value = '40.00';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+        descriptionInput.value = 'Card order';
+        descriptionInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        return element;
+    }
+
+    it('renders the hosted card fields alongside the PayPal buttons', async () => {
+        const element = await createForm();
+
+        const sdkUrl = new URL(loadScript.mock.calls[loadScript.mock.calls.length - 1][1]);
+        expect(sdkUrl.searchParams.get('components')).toBe('buttons,card-fields');
+        expect(global.paypal.Buttons).toHaveBeenCalled();
+        const numberContainer = element.shadowRoot.querySelector('[data-id="card-number-field"]');
+        expect(mockCardFields.NumberField.mock.results[0].value.render).toHaveBeenCalledWith(numberContainer);
+        expect(element.shadowRoot.querySelector('[data-id="card-fields-container"]').classList).not.toContain('slds-hide');
+    });
+
+    it('hides the card fields when card payments are not available', async () => {
+        mockCardFields.isEligible.mockReturnValue(false);
+        const element = await createForm();
+
+        expect(mockCardFields.NumberField).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('[data-id="card-fields-container"]').classList).toContain('slds-hide');
+    });
+
+    it('captures a card payment once 3-D Secure has been checked', async () => {
+        captureCardOrder.mockResolvedValue({ id: 'CARD_ORDER_1', status: 'COMPLETED' });
+        const element = await createForm();
+        const handler = jest.fn();
+        element.addEventListener('paymentcomplete', handler);
+
+        element.shadowRoot.querySelector('[data-id="card-submit-btn"]').click();
+        await flushPromises();
+
+        expect(createCardOrder).toHaveBeenCalledWith({
+            amount: 40,
+            currencyCode: 'USD',
+            description: 'Card order',
+            recordId: undefined,
+            intent: 'CAPTURE'
+        });
+        expect(captureCardOrder).toHaveBeenCalledWith({ orderId: 'CARD_ORDER_1' });
+        expect(handler).toHaveBeenCalled();
+    });
+
+    it('asks for another card when the issuer does not verify it', async () => {
+        captureCardOrder.mockResolvedValue({ id: 'CARD_ORDER_1', status: 'CARD_AUTHENTICATION_FAILED' });
+        const element = await createForm();
+        const paymentHandler = jest.fn();
+        const toastHandler = jest.fn();
+        element.addEventListener('paymentcomplete', paymentHandler);
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        element.shadowRoot.querySelector('[data-id="card-submit-btn"]').click();
+        await flushPromises();
+
+        expect(paymentHandler).not.toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.title).toBe('Card Not Verified');
+    });
+
+    it('shows the error when a card capture is declined', async () => {
+        captureCardOrder.mockRejectedValue({ body: { message: 'Card declined' } });
+        const element = await createForm();
+        const paymentHandler = jest.fn();
+        const toastHandler = jest.fn();
+        element.addEventListener('paymentcomplete', paymentHandler);
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        element.shadowRoot.querySelector('[data-id="card-submit-btn"]').click();
+        await flushPromises();
+
+        expect(paymentHandler).not.toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Card payment failed: Card declined');
+        expect(element.shadowRoot.querySelector('lightning-spinner')).toBeNull();
+    });
+
+    it('shows the error when the card fields report one', async () => {
+        const element = await createForm();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        cardFieldsOptions.onError(new Error('3-D Secure failed'));
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail.title).toBe('Error');
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Card payment failed');
+    });
 });
\ No newline at end of file
@@ -1,14 +1,43 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { getRecord } from 'lightning/uiRecordApi';
+import { getObjectInfo } from 'lightning/uiObjectInfoApi';
+import { loadScript } from 'lightning/platformResourceLoader';
 import createOrder from '@salesforce/apex/PayPalService.createOrder';
+import createAuthorizationOrder from '@salesforce/apex/PayPalService.createAuthorizationOrder';
 import captureOrder from '@salesforce/apex/PayPalService.captureOrder';
+import authorizeOrder from '@salesforce/apex/PayPalService.authorizeOrder';
+import cancelOrder from '@salesforce/apex/PayPalService.cancelOrder';
+import createCardOrder from '@salesforce/apex/PayPalService.createCardOrder';
+import captureCardOrder from '@salesforce/apex/PayPalService.captureCardOrder';
+import authorizeCardOrder from '@salesforce/apex/PayPalService.authorizeCardOrder';
 import getAuthStatus from '@salesforce/apex/PayPalAuthManager.getAuthStatus';
+import getSdkConfiguration from '@salesforce/apex/PayPalAuthManager.getSdkConfiguration';
+import getCircuitStatus from '@salesforce/apex/PayPalCircuitBreaker.getCircuitStatus';
+import getCurrencies from '@salesforce/apex/PayPalCurrencyRegistry.getCurrencies';
+import getSavedPaymentMethods from '@salesforce/apex/PayPalVaultService.getSavedPaymentMethods';
+import createVaultingOrder from '@salesforce/apex/PayPalVaultService.createVaultingOrder';
+import payWithSavedPaymentMethod from '@salesforce/apex/PayPalVaultService.payWithSavedPaymentMethod';
+import { formatCurrency } from 'c/currencyUtils';
 
-const ACCOUNT_FIELDS = ['Account.Id', 'Account.Name'];
+const COMPLETED_STATUS = 'COMPLETED';
+const PAYER_ACTION_REQUIRED_STATUS = 'PAYER_ACTION_REQUIRED';
+const RETRY_QUEUED_STATUS = 'RETRY_QUEUED';
+const CARD_AUTHENTICATION_FAILED_STATUS = 'CARD_AUTHENTICATION_FAILED';
+// Checkout needs an access token and the orders API
+const CHECKOUT_CIRCUITS = ['orders', 'oauth'];
+const SDK_URL = 'https://www.paypal.com/sdk/js';
+const SDK_LOADING = 'loading';
+const SDK_READY = 'ready';
+const SDK_ERROR = 'error';
+
+// Each SDK URL (currency, intent) defines its own window.paypal. loadScript only runs a URL once,
+// so the namespace it created is kept here for when the buyer switches back to that URL.
+const sdkNamespaces = new Map();
 
 export default class PaymentForm extends LightningElement {
     @api recordId;
+    @api objectApiName;
     @track amount = '';
     @track description = '';
     @track currencyCode = 'USD';
@@ -16,22 +45,52 @@ export default class PaymentForm extends LightningElement {
     @track showPayPalButtons = false;
     @track paypalOrderId = '';
     @track authStatus = {};
+    @track circuitStatus = {};
+    @track currencies = [];
+    @track sdkConfiguration;
+    @track sdkState = SDK_LOADING;
+    @track sdkError = '';
+    @track savedPaymentMethods = [];
+    @track selectedPaymentMethodId;
+    @track savePaymentMethod = false;
+    @track cardFieldsUnavailable = false;
+
+    paypalSdk;
+    loadedSdkUrl;
+    sdkLoadId = 0;
+    buttonsRendered = false;
+    cardFields;
+    checkoutIntent;
+
+    // Overrides the configured Default Intent, e.g. AUTHORIZE to capture later
+    @api
+    get intent() {
+        return this.checkoutIntent;
+    }
+    set intent(value) {
+        this.checkoutIntent = value;
+        this.loadPayPalSdk();
+    }
 
-    currencyOptions = [
-        { label: 'USD - US Dollar', value: 'USD' },
-        { label: 'EUR - Euro', value: 'EUR' },
-        { label: 'GBP - British Pound', value: 'GBP' },
-        { label: 'CAD - Canadian Dollar', value: 'CAD' },
-        { label: 'AUD - Australian Dollar', value: 'AUD' },
-        { label: 'JPY - Japanese Yen', value: 'JPY' }
-    ];
+    // The form may sit on any payable record page, so its name field comes from the object info
+    @wire(getObjectInfo, { objectApiName: '$objectApiName' })
+    objectInfo;
 
-    @wire(getRecord, { recordId: '$recordId', fields: ACCOUNT_FIELDS })
-    account;
+    @wire(getRecord, { recordId: '$recordId', layoutTypes: ['Compact'] })
+    record;
 
     connectedCallback() {
         this.loadAuthStatus();
-        this.loadPayPalScript();
+        this.loadCircuitStatus();
+        this.loadSavedPaymentMethods();
+        this.initializeCheckout();
+    }
+
+    renderedCallback() {
+        // The button container only exists once the form is valid and PayPal is available
+        if (this.showCheckout && this.sdkState === SDK_READY && !this.buttonsRendered) {
+            this.renderPayPalButtons();
+        }
     }
 
     async loadAuthStatus() {
@@ -43,20 +102,123 @@ export default class PaymentForm extends LightningElement {
         }
     }
 
-    loadPayPalScript() {
-        if (window.paypal) {
+    async loadCircuitStatus() {
+        try {
+            this.circuitStatus = await getCircuitStatus();
+        } catch (error) {
+            console.error('Error loading PayPal availability:', error);
+        }
+    }
+
+    // PayPal accounts saved for the Contact or Account of the record the form is on
+    async loadSavedPaymentMethods() {
+        if (!this.recordId) {
+            return;
+        }
+        try {
+            this.savedPaymentMethods = (await getSavedPaymentMethods({ recordId: this.recordId })) || [];
+            this.selectedPaymentMethodId = this.savedPaymentMethods.length > 0 ? this.savedPaymentMethods[0].id : undefined;
+        } catch (error) {
+            console.error('Error loading saved payment methods:', error);
+        }
+    }
+
+    async initializeCheckout() {
+        await Promise.all([this.loadCurrencies(), this.loadSdkConfiguration()]);
+        this.loadPayPalSdk();
+    }
+
+    async loadCurrencies() {
+        try {
+            this.currencies = (await getCurrencies()) || [];
+        } catch (error) {
+            console.error('Error loading currencies:', error);
+            this.showToast('Error', 'Failed to load supported currencies', 'error');
+        }
+    }
+
+    async loadSdkConfiguration() {
+        try {
+            this.sdkConfiguration = await getSdkConfiguration();
+        } catch (error) {
+            console.error('Error loading PayPal checkout configuration:', error);
+            this.sdkState = SDK_ERROR;
+            this.sdkError = 'PayPal checkout is not configured. Please contact your administrator.';
+        }
+    }
+
+    get sdkUrl() {
+        const config = this.sdkConfiguration;
+        const params = new URLSearchParams({
+            'client-id': config.clientId,
+            components: 'buttons,card-fields',
+            currency: this.currencyCode,
+            intent: this.effectiveIntent.toLowerCase()
+        });
+        if (config.enabledFunding && config.enabledFunding.length > 0) {
+            params.set('enable-funding', config.enabledFunding.join(','));
+        }
+        if (config.locale) {
+            params.set('locale', config.locale);
+        }
+        return `${SDK_URL}?${params.toString()}`;
+    }
+
+    get effectiveIntent() {
+        return (this.checkoutIntent || this.sdkConfiguration?.intent || 'CAPTURE').toUpperCase();
+    }
+
+    // The SDK is bound to one currency and intent, so it is loaded again whenever either changes
+    async loadPayPalSdk() {
+        if (!this.sdkConfiguration) {
+            return;
+        }
+
+        const url = this.sdkUrl;
+        if (url === this.loadedSdkUrl && this.sdkState === SDK_READY) {
             return;
         }
 
-        const script = document.createElement('script');
-        script.src = 'https://www.paypal.com/sdk/js?client-id=YOUR_CLIENT_ID&currency=USD,EUR,GBP,CAD,AUD,JPY';
-        script.onload = () => {
-            console.log('PayPal SDK loaded');
-        };
-        script.onerror = () => {
-            this.showToast('Error', 'Failed to load PayPal SDK', 'error');
-        };
-        document.head.appendChild(script);
+        const loadId = ++this.sdkLoadId;
+        this.sdkState = SDK_LOADING;
+        this.sdkError = '';
+        this.buttonsRendered = false;
+
+        try {
+            await loadScript(this, url);
+            if (!sdkNamespaces.has(url)) {
+                sdkNamespaces.set(url, window.paypal);
+            }
+        } catch (error) {
+            console.error('Error loading PayPal SDK:', error);
+            if (loadId === this.sdkLoadId) {
+                this.sdkState = SDK_ERROR;
+                this.sdkError = 'PayPal checkout could not be loaded. Check your connection and try again.';
+            }
+            return;
+        }
+
+        // A later currency or intent change has started its own load
+        if (loadId !== this.sdkLoadId) {
+            return;
+        }
+
+        this.paypalSdk = sdkNamespaces.get(url);
+        this.loadedSdkUrl = url;
+        this.sdkState = this.paypalSdk ? SDK_READY : SDK_ERROR;
+        if (!this.paypalSdk) {
+            this.sdkError = 'PayPal checkout could not be loaded. Check your connection and try again.';
+        } else if (this.showCheckout) {
+            this.renderPayPalButtons();
+        }
+    }
+
+    async handleRetrySdk() {
+        if (!this.sdkConfiguration) {
+            await this.loadSdkConfiguration();
+        }
+        this.loadedSdkUrl = undefined;
+        this.loadPayPalSdk();
     }
 
     handleAmountChange(event) {
@@ -71,30 +233,80 @@ export default class PaymentForm extends LightningElement {
 
     handleCurrencyChange(event) {
         this.currencyCode = event.target.value;
+        this.validateForm();
+        this.loadPayPalSdk();
+    }
+
+    handleSavePaymentMethodChange(event) {
+        this.savePaymentMethod = event.target.checked;
+    }
+
+    handleSavedPaymentMethodChange(event) {
+        this.selectedPaymentMethodId = event.detail.value;
+    }
+
+    // A saved PayPal account is charged from Apex, so the buyer does not log in to PayPal again
+    async handlePayWithSavedPaymentMethod() {
+        try {
+            this.isLoading = true;
+            const orderResponse = await payWithSavedPaymentMethod({
+                paymentMethodId: this.selectedPaymentMethodId,
+                amount: parseFloat(this.amount),
+                currencyCode: this.currencyCode,
+                description: this.description,
+                recordId: this.recordId
+            });
+
+            // e.g. the buyer revoked the saved account at PayPal, so the order waits for them to approve it
+            if (orderResponse?.status === PAYER_ACTION_REQUIRED_STATUS) {
+                this.showToast('Payment Not Completed', 'PayPal could not charge the saved account. Please pay with PayPal instead.', 'error');
+                return;
+            }
+            if (orderResponse?.status === COMPLETED_STATUS) {
+                this.showToast('Success', 'Payment completed successfully!', 'success');
+            } else {
+                this.showToast('Payment Pending', 'PayPal has not completed the payment yet. Its status will be updated once PayPal confirms it.', 'warning');
+            }
+            this.resetForm();
+            this.dispatchEvent(new CustomEvent('paymentcomplete', {
+                detail: {
+                    orderId: orderResponse.id,
+                    captureResponse: orderResponse
+                }
+            }));
+            this.loadSavedPaymentMethods();
+        } catch (error) {
+            console.error('Error paying with saved payment method:', error);
+            this.showToast('Error', 'Payment with saved PayPal account failed: ' + error.body?.message, 'error');
+            this.loadCircuitStatus();
+        } finally {
+            this.isLoading = false;
+        }
     }
 
     validateForm() {
-        const isValid = this.amount && 
-                       parseFloat(this.amount) > 0 && 
-                       this.description && 
-                       this.description.trim().length > 0;
+        const isValid = this.isFormValid;
         
         this.showPayPalButtons = isValid;
         
-        if (isValid && window.paypal) {
+        if (!isValid) {
+            this.buttonsRendered = false;
+        } else if (this.sdkState === SDK_READY) {
             this.renderPayPalButtons();
         }
     }
 
     renderPayPalButtons() {
         const paypalButtonContainer = this.template.querySelector('[data-id="paypal-button-container"]');
-        if (!paypalButtonContainer || !window.paypal) {
+        if (!paypalButtonContainer || !this.paypalSdk) {
             return;
         }
 
         paypalButtonContainer.innerHTML = '';
+        this.buttonsRendered = true;
+        const isAuthorization = this.effectiveIntent === 'AUTHORIZE';
 
-        window.paypal.Buttons({
+        this.paypalSdk.Buttons({
             style: {
                 layout: 'vertical',
                 color: 'gold',
@@ -104,11 +316,16 @@ export default class PaymentForm extends LightningElement {
             createOrder: async () => {
                 try {
                     this.isLoading = true;
-                    const orderResponse = await createOrder({
+                    // Read when the buyer clicks, so ticking the consent box after rendering still counts
+                    let createPayPalOrder = isAuthorization ? createAuthorizationOrder : createOrder;
+                    if (this.canSavePaymentMethod && this.savePaymentMethod) {
+                        createPayPalOrder = createVaultingOrder;
+                    }
+                    const orderResponse = await createPayPalOrder({
                         amount: parseFloat(this.amount),
                         currencyCode: this.currencyCode,
                         description: this.description,
-                        accountId: this.recordId
+                        recordId: this.recordId
                     });
                     
                     this.paypalOrderId = orderResponse.id;
@@ -116,6 +333,7 @@ export default class PaymentForm extends LightningElement {
                 } catch (error) {
                     console.error('Error creating order:', error);
                     this.showToast('Error', 'Failed to create payment order: ' + error.body?.message, 'error');
+                    this.loadCircuitStatus();
                     throw error;
                 } finally {
                     this.isLoading = false;
@@ -124,21 +342,15 @@ export default class PaymentForm extends LightningElement {
             onApprove: async (data) => {
                 try {
                     this.isLoading = true;
-                    const captureResponse = await captureOrder({
+                    const completePayPalOrder = isAuthorization ? authorizeOrder : captureOrder;
+                    const captureResponse = await completePayPalOrder({
                         orderId: data.orderID
                     });
-                    
-                    this.showToast('Success', 'Payment completed successfully!', 'success');
-                    this.resetForm();
-                    this.dispatchEvent(new CustomEvent('paymentcomplete', {
-                        detail: {
-                            orderId: data.orderID,
-                            captureResponse: captureResponse
-                        }
-                    }));
+                    this.handlePaymentCompleted(data.orderID, captureResponse, isAuthorization);
                 } catch (error) {
                     console.error('Error capturing payment:', error);
                     this.showToast('Error', 'Payment capture failed: ' + error.body?.message, 'error');
+                    this.loadCircuitStatus();
                 } finally {
                     this.isLoading = false;
                 }
@@ -148,12 +360,142 @@ export default class PaymentForm extends LightningElement {
                 this.showToast('Error', 'PayPal payment failed', 'error');
                 this.isLoading = false;
             },
-            onCancel: (data) => {
+            onCancel: async (data) => {
                 console.log('Payment cancelled:', data);
+                try {
+                    await cancelOrder({
+                        orderId: data.orderID
+                    });
+                } catch (error) {
+                    // The stale order sweeper picks the order up later
+                    console.error('Error cancelling order:', error);
+                }
                 this.showToast('Info', 'Payment was cancelled', 'info');
                 this.isLoading = false;
             }
-        }).render(paypalButtonContainer);
+        }).render(paypalButtonContainer).catch((error) => {
+            // e.g. the currency is not enabled on the PayPal account
+            console.error('Error rendering PayPal buttons:', error);
+            this.sdkState = SDK_ERROR;
+            this.sdkError = 'PayPal buttons could not be displayed. Please try again or choose another currency.';
+        });
+
+        this.renderCardFields(isAuthorization);
+    }
+
+    // PayPal's hosted card fields: the card number, expiry and CVV are typed into PayPal iframes and
+    // never reach Salesforce. PayPal runs 3-D Secure on submit when the issuer requires it, and Apex
+    // checks the result before the payment is captured or authorized.
+    renderCardFields(isAuthorization) {
+        this.cardFields = undefined;
+        const cardFieldsContainer = this.template.querySelector('[data-id="card-fields-container"]');
+        if (!cardFieldsContainer || typeof this.paypalSdk.CardFields !== 'function') {
+            this.cardFieldsUnavailable = true;
+            return;
+        }
+
+        const cardFields = this.paypalSdk.CardFields({
+            createOrder: async () => {
+                try {
+                    const orderResponse = await createCardOrder({
+                        amount: parseFloat(this.amount),
+                        currencyCode: this.currencyCode,
+                        description: this.description,
+                        recordId: this.recordId,
+                        intent: this.effectiveIntent
+                    });
+
+                    this.paypalOrderId = orderResponse.id;
+                    return orderResponse.id;
+                } catch (error) {
+                    console.error('Error creating card order:', error);
+                    this.showToast('Error', 'Failed to create payment order: ' + error.body?.message, 'error');
+                    this.loadCircuitStatus();
+                    throw error;
+                }
+            },
+            onApprove: async (data) => {
+                try {
+                    this.isLoading = true;
+                    const completeCardOrder = isAuthorization ? authorizeCardOrder : captureCardOrder;
+                    const captureResponse = await completeCardOrder({
+                        orderId: data.orderID
+                    });
+
+                    if (captureResponse?.status === CARD_AUTHENTICATION_FAILED_STATUS) {
+                        this.showToast('Card Not Verified', 'Your card issuer could not verify this card. Please try again or use another card.', 'error');
+                        return;
+                    }
+                    this.handlePaymentCompleted(data.orderID, captureResponse, isAuthorization);
+                } catch (error) {
+                    console.error('Error capturing card payment:', error);
+                    this.showToast('Error', 'Card payment failed: ' + error.body?.message, 'error');
+                    this.loadCircuitStatus();
+                } finally {
+                    this.isLoading = false;
+                }
+            },
+            onError: (err) => {
+                console.error('PayPal card fields error:', err);
+                this.showToast('Error', 'Card payment failed', 'error');
+                this.isLoading = false;
+            }
+        });
+
+        // e.g. card processing is not enabled on the PayPal account, or the currency is not supported for cards
+        this.cardFieldsUnavailable = !cardFields.isEligible();
+        if (this.cardFieldsUnavailable) {
+            return;
+        }
+
+        this.cardFields = cardFields;
+        [
+            ['card-name-field', cardFields.NameField()],
+            ['card-number-field', cardFields.NumberField()],
+            ['card-expiry-field', cardFields.ExpiryField()],
+            ['card-cvv-field', cardFields.CVVField()]
+        ].forEach(([fieldId, field]) => {
+            const fieldContainer = cardFieldsContainer.querySelector(`[data-id="${fieldId}"]`);
+            // Fields from an earlier render would otherwise stay next to the new ones
+            while (fieldContainer.firstChild) {
+                fieldContainer.removeChild(fieldContainer.firstChild);
+            }
+            field.render(fieldContainer);
+        });
+    }
+
+    // Submitting validates the card fields, runs 3-D Secure if needed and then calls onApprove
+    async handleCardSubmit() {
+        if (!this.cardFields) {
+            return;
+        }
+        try {
+            this.isLoading = true;
+            await this.cardFields.submit();
+        } catch (error) {
+            console.error('Error paying by card:', error);
+            this.showToast('Error', 'Card payment failed: ' + (error.body?.message || error.message), 'error');
+            this.loadCircuitStatus();
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handlePaymentCompleted(orderId, captureResponse, isAuthorization) {
+        if (isAuthorization) {
+            this.showToast('Success', 'Payment authorized. It will be captured later.', 'success');
+        } else if (captureResponse?.status === RETRY_QUEUED_STATUS) {
+            this.showToast('Payment Pending', 'PayPal is temporarily unavailable. The capture has been queued and will be retried automatically.', 'warning');
+        } else {
+            this.showToast('Success', 'Payment completed successfully!', 'success');
+        }
+        this.resetForm();
+        this.dispatchEvent(new CustomEvent('paymentcomplete', {
+            detail: {
+                orderId: orderId,
+                captureResponse: captureResponse
+            }
+        }));
     }
 
     resetForm() {
@@ -161,7 +503,11 @@ export default class PaymentForm extends LightningElement {
         this.description = '';
         this.currencyCode = 'USD';
         this.showPayPalButtons = false;
+        this.buttonsRendered = false;
+        this.cardFields = undefined;
         this.paypalOrderId = '';
+        this.savePaymentMethod = false;
+        this.loadPayPalSdk();
         
         const paypalButtonContainer = this.template.querySelector('[data-id="paypal-button-container"]');
         if (paypalButtonContainer) {
@@ -178,19 +524,121 @@ export default class PaymentForm extends LightningElement {
         this.dispatchEvent(evt);
     }
 
-    get accountName() {
-        return this.account?.data?.fields?.Name?.value || 'Unknown';
+    get recordLabel() {
+        return this.objectInfo?.data?.label || 'Record';
+    }
+
+    get recordName() {
+        const nameField = this.objectInfo?.data?.nameFields?.[0] || 'Name';
+        return this.record?.data?.fields?.[nameField]?.value || 'Unknown';
     }
 
     get isFormValid() {
-        return this.amount && 
+        return Boolean(this.amount && 
                parseFloat(this.amount) > 0 && 
+               this.isAmountWithinLimits &&
                this.description && 
-               this.description.trim().length > 0;
+               this.description.trim().length > 0);
+    }
+
+    get currencyOptions() {
+        return this.currencies.map((currency) => ({
+            label: `${currency.code} - ${currency.label}`,
+            value: currency.code
+        }));
+    }
+
+    get selectedCurrency() {
+        return this.currencies.find((currency) => currency.code === this.currencyCode);
+    }
+
+    get isAmountWithinLimits() {
+        const currency = this.selectedCurrency;
+        if (!currency) {
+            return true;
+        }
+        const amount = parseFloat(this.amount);
+        return (currency.minimumAmount == null || amount >= currency.minimumAmount) &&
+               (currency.maximumAmount == null || amount <= currency.maximumAmount);
+    }
+
+    // JPY and other zero-decimal currencies only accept whole amounts
+    get amountStep() {
+        const decimalPlaces = this.selectedCurrency?.decimalPlaces ?? 2;
+        return decimalPlaces > 0 ? (1 / 10 ** decimalPlaces).toFixed(decimalPlaces) : '1';
+    }
+
+    get minimumAmount() {
+        return this.selectedCurrency?.minimumAmount;
+    }
+
+    get maximumAmount() {
+        return this.selectedCurrency?.maximumAmount;
+    }
+
+    get amountHelpText() {
+        const currency = this.selectedCurrency;
+        if (!currency || currency.minimumAmount == null) {
+            return 'Enter the payment amount';
+        }
+        return `Enter the payment amount (minimum ${formatCurrency(currency.minimumAmount, currency.code, currency.decimalPlaces)})`;
+    }
+
+    get formattedAmount() {
+        return formatCurrency(parseFloat(this.amount), this.currencyCode, this.selectedCurrency?.decimalPlaces);
+    }
+
+    // Saved accounts belong to a Contact or Account and are charged at once, so only captures are saved
+    get canSavePaymentMethod() {
+        return Boolean(this.recordId) && this.effectiveIntent === 'CAPTURE';
+    }
+
+    get hasSavedPaymentMethods() {
+        return this.canSavePaymentMethod && this.savedPaymentMethods.length > 0;
+    }
+
+    get savedPaymentMethodOptions() {
+        return this.savedPaymentMethods.map((savedMethod) => ({
+            label: savedMethod.payerEmail || 'PayPal account',
+            value: savedMethod.id
+        }));
+    }
+
+    get payWithSavedDisabled() {
+        return this.isLoading || !this.isFormValid || !this.selectedPaymentMethodId || this.isPayPalUnavailable;
+    }
+
+    // Kept in the DOM while hidden so the card fields can render once a later SDK load is eligible
+    get cardFieldsClass() {
+        return this.cardFieldsUnavailable ? 'slds-m-top_medium slds-hide' : 'slds-m-top_medium';
+    }
+
+    get isPayPalUnavailable() {
+        const unavailable = this.circuitStatus.unavailable || [];
+        return CHECKOUT_CIRCUITS.some((family) => unavailable.includes(family));
+    }
+
+    get showCheckout() {
+        return this.showPayPalButtons && !this.isPayPalUnavailable && !this.hasSdkError;
+    }
+
+    get unavailableMessage() {
+        const retryAfter = this.circuitStatus.retryAfterSeconds;
+        return retryAfter > 0
+            ? `PayPal is temporarily unavailable. Please try again in ${retryAfter} seconds.`
+            : 'PayPal is temporarily unavailable. Please try again shortly.';
     }
 
     get isPayPalReady() {
-        return window.paypal && this.authStatus.isAuthenticated;
+        return this.sdkState === SDK_READY && this.authStatus.isAuthenticated;
+    }
+
+    get isSdkLoading() {
+        return this.sdkState === SDK_LOADING && this.showCheckout;
+    }
+
+    get hasSdkError() {
+        return this.sdkState === SDK_ERROR;
     }
 
     get loadingMessage() {
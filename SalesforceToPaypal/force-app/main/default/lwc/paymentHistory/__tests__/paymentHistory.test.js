@@ -3,6 +3,7 @@ import { getRecord } from 'lightning/uiRecordApi';
 import PaymentHistory from 'c/paymentHistory';
 import getPaymentHistory from '@salesforce/apex/PayPalService.getPaymentHistory';
 import getPaymentStats from '@salesforce/apex/PaymentProcessor.getPaymentStats';
+import { subscribe, unsubscribe } from 'lightning/empApi';
 
 // Mock the wire adapters and Apex methods
 jest.mock(
@@ -423,4 +424,147 @@ describe('c-payment-history', () => {
         const modal = element.shadowRoot.querySelector('.payment-details-modal');
         expect(modal).toBeFalsy();
     });
+});
+
+describe('c-payment-history payer details', () => {
+    const flushPromises = () => Promise.resolve();
+
+    const payerPayments = [
+        {
+            Id: 'a01000000000001',
+            Name: 'PT-00000001',
+            Amount__c: 100.0,
+            Currency_Code__c: 'USD',
+            Status__c: 'Completed',
+            PayPal_Order_ID__c: 'ORDER123',
+            Payer_Name__c: 'Test Buyer',
+            Payer_Email__c: 'buyer@example.com',
+            PayPal_Fee__c: 3.98,
+            Net_Amount__c: 96.02
+        },
+        {
+            Id: 'a01000000000002',
+            Name: 'PT-00000002',
+            Amount__c: 50.0,
+            Currency_Code__c: 'USD',
+            Status__c: 'Completed',
+            PayPal_Order_ID__c: 'ORDER456',
+            Payer_Name__c: 'Other Buyer',
+            Payer_Email__c: 'other@example.com'
+        }
+    ];
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('shows payer and net amount columns', async () => {
+        const element = createElement('c-payment-history', {
+            is: PaymentHistory
+        });
+        element.recordId = '0011234567890ABC';
+        document.body.appendChild(element);
+
+        getPaymentHistory.emit(payerPayments);
+        await flushPromises();
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        const fieldNames = dataTable.columns.map(column => column.fieldName);
+        expect(fieldNames).toContain('Payer_Name__c');
+        expect(fieldNames).toContain('formattedNetAmount');
+        expect(dataTable.data[0].formattedNetAmount).toBe('$96.02');
+        expect(dataTable.data[1].formattedNetAmount).toBe('');
+    });
+
+    it('searches payments by payer email', async () => {
+        const element = createElement('c-payment-history', {
+            is: PaymentHistory
+        });
+        element.recordId = '0011234567890ABC';
+        document.body.appendChild(element);
+
+        getPaymentHistory.emit(payerPayments);
+        await flushPromises();
+
+        const searchInput = element.shadowRoot.querySelector('lightning-input');
+        searchInput.value = 'other@example';
+        searchInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data.length).toBe(1);
+        expect(dataTable.data[0].PayPal_Order_ID__c).toBe('ORDER456');
+    });
+});
+
+describe('c-payment-history live updates', () => {
+    const flushPromises = () => Promise.resolve();
+
+    const livePayments = [
+        {
+            Id: 'a01000000000001',
+            Name: 'PT-00000001',
+            Amount__c: 100.0,
+            Currency_Code__c: 'USD',
+            Status__c: 'Pending',
+            PayPal_Order_ID__c: 'ORDER123'
+        }
+    ];
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function renderHistory() {
+        const element = createElement('c-payment-history', {
+            is: PaymentHistory
+        });
+        element.recordId = '0011234567890ABC';
+        document.body.appendChild(element);
+
+        getPaymentHistory.emit(livePayments);
+        await flushPromises();
+        return element;
+    }
+
+    it('updates the changed row in place', async () => {
+        const element = await renderHistory();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage({
+            data: {
+                payload: {
+                    Transaction_ID__c: 'a01000000000001',
+                    PayPal_Order_ID__c: 'ORDER123',
+                    Status__c: 'Completed',
+                    Previous_Status__c: 'Pending',
+                    Captured_Amount__c: 100,
+                    Net_Amount__c: 96.02
+                }
+            }
+        });
+        await flushPromises();
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data[0].Status__c).toBe('Completed');
+        expect(dataTable.data[0].formattedNetAmount).toBe('$96.02');
+        expect(toastHandler).toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('PT-00000001 is now Completed');
+    });
+
+    it('unsubscribes when removed', async () => {
+        const element = await renderHistory();
+
+        document.body.removeChild(element);
+
+        expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
 });
\ No newline at end of file
@@ -3,6 +3,12 @@ import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 import getPaymentHistory from '@salesforce/apex/PayPalService.getPaymentHistory';
+import { formatCurrency } from 'c/currencyUtils';
+import {
+    subscribeToPaymentStatusChanges,
+    unsubscribeFromPaymentStatusChanges,
+    applyPaymentStatusChange
+} from 'c/paymentStatusEvents';
 
 const COLUMNS = [
     {
@@ -40,6 +46,24 @@ const COLUMNS = [
         fieldName: 'Payment_Method__c',
         type: 'text'
     },
+    {
+        label: 'Paid Against',
+        fieldName: 'Related_Object__c',
+        type: 'text'
+    },
+    {
+        label: 'Payer',
+        fieldName: 'Payer_Name__c',
+        type: 'text'
+    },
+    {
+        label: 'Net Amount',
+        fieldName: 'formattedNetAmount',
+        type: 'text',
+        cellAttributes: {
+            class: 'amount-cell'
+        }
+    },
     {
         label: 'Date',
         fieldName: 'CreatedDate',
@@ -77,25 +101,43 @@ export default class PaymentHistory extends NavigationMixin(LightningElement) {
     @track sortedDirection = 'desc';
 
     wiredPaymentsResult;
+    statusSubscription;
 
     statusOptions = [
         { label: 'All Statuses', value: 'All' },
         { label: 'Created', value: 'Created' },
         { label: 'Approved', value: 'Approved' },
+        { label: 'Authorized', value: 'Authorized' },
+        { label: 'Partially Captured', value: 'Partially Captured' },
         { label: 'Completed', value: 'Completed' },
         { label: 'Cancelled', value: 'Cancelled' },
         { label: 'Failed', value: 'Failed' },
         { label: 'Refunded', value: 'Refunded' },
-        { label: 'Partially Refunded', value: 'Partially Refunded' }
+        { label: 'Partially Refunded', value: 'Partially Refunded' },
+        { label: 'Voided', value: 'Voided' },
+        { label: 'Reversed', value: 'Reversed' }
     ];
 
-    @wire(getPaymentHistory, { accountId: '$effectiveAccountId' })
+    connectedCallback() {
+        subscribeToPaymentStatusChanges((payload) => this.handlePaymentStatusChange(payload))
+            .then((subscription) => {
+                this.statusSubscription = subscription;
+            });
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPaymentStatusChanges(this.statusSubscription);
+        this.statusSubscription = null;
+    }
+
+    @wire(getPaymentHistory, { recordId: '$effectiveRecordId' })
     wiredPayments(result) {
         this.wiredPaymentsResult = result;
         if (result.data) {
             this.payments = result.data.map(payment => ({
                 ...payment,
-                formattedAmount: `${payment.Currency_Code__c} ${payment.Amount__c}`,
+                formattedAmount: formatCurrency(payment.Amount__c, payment.Currency_Code__c),
+                formattedNetAmount: formatCurrency(payment.Net_Amount__c, payment.Currency_Code__c),
                 recordUrl: `/lightning/r/Payment_Transaction__c/${payment.Id}/view`,
                 statusClass: this.getStatusClass(payment.Status__c)
             }));
@@ -109,7 +151,33 @@ export default class PaymentHistory extends NavigationMixin(LightningElement) {
         }
     }
 
-    get effectiveAccountId() {
+    // Updates the changed row in place; a new payment for this record reloads the list
+    handlePaymentStatusChange(payload) {
+        const index = this.payments.findIndex(payment => payment.Id === payload.Transaction_ID__c);
+        if (index === -1) {
+            const recordId = this.effectiveRecordId;
+            if (recordId && (payload.Account_ID__c === recordId || payload.Related_Record_ID__c === recordId)) {
+                refreshApex(this.wiredPaymentsResult);
+            }
+            return;
+        }
+
+        const payment = applyPaymentStatusChange(this.payments[index], payload);
+        this.payments = [
+            ...this.payments.slice(0, index),
+            {
+                ...payment,
+                formattedNetAmount: formatCurrency(payment.Net_Amount__c, payment.Currency_Code__c),
+                statusClass: this.getStatusClass(payment.Status__c)
+            },
+            ...this.payments.slice(index + 1)
+        ];
+        this.applyFilters();
+        this.showToast('Payment Updated', `${payment.Name} is now ${payment.Status__c}`, 'info');
+    }
+
+    // accountId is kept for app and home pages configured before the component worked on any record
+    get effectiveRecordId() {
         return this.accountId || this.recordId;
     }
 
@@ -127,7 +195,7 @@ export default class PaymentHistory extends NavigationMixin(LightningElement) {
 
     get totalAmount() {
         if (!this.filteredPayments || this.filteredPayments.length === 0) {
-            return 'USD 0.00';
+            return formatCurrency(0, 'USD');
         }
         
         const total = this.filteredPayments.reduce((sum, payment) => {
@@ -135,7 +203,7 @@ export default class PaymentHistory extends NavigationMixin(LightningElement) {
         }, 0);
         
         const currency = this.filteredPayments[0]?.Currency_Code__c || 'USD';
-        return `${currency} ${total.toFixed(2)}`;
+        return formatCurrency(total, currency);
     }
 
     getStatusClass(status) {
@@ -144,9 +212,13 @@ export default class PaymentHistory extends NavigationMixin(LightningElement) {
                 return 'slds-text-color_success';
             case 'Failed':
             case 'Cancelled':
+            case 'Voided':
+            case 'Reversed':
                 return 'slds-text-color_error';
             case 'Created':
             case 'Approved':
+            case 'Authorized':
+            case 'Partially Captured':
                 return 'slds-text-color_warning';
             case 'Refunded':
             case 'Partially Refunded':
@@ -195,7 +267,9 @@ export default class PaymentHistory extends NavigationMixin(LightningElement) {
             filtered = filtered.filter(payment => {
                 return payment.Name?.toLowerCase().includes(searchLower) ||
                        payment.PayPal_Order_ID__c?.toLowerCase().includes(searchLower) ||
-                       payment.Payment_Method__c?.toLowerCase().includes(searchLower);
+                       payment.Payment_Method__c?.toLowerCase().includes(searchLower) ||
+                       payment.Payer_Name__c?.toLowerCase().includes(searchLower) ||
+                       payment.Payer_Email__c?.toLowerCase().includes(searchLower);
             });
         }
 
@@ -0,0 +1,215 @@
+import { createElement } from 'lwc';
+import PaymentInvoices from 'c/paymentInvoices';
+import getInvoices from '@salesforce/apex/PayPalInvoiceService.getInvoices';
+import createDraftInvoice from '@salesforce/apex/PayPalInvoiceService.createDraftInvoice';
+import sendInvoice from '@salesforce/apex/PayPalInvoiceService.sendInvoice';
+import recordOfflinePayment from '@salesforce/apex/PayPalInvoiceService.recordOfflinePayment';
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.getInvoices',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.createDraftInvoice',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.sendInvoice',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.remindInvoice',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.cancelInvoice',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.recordOfflinePayment',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalInvoiceService.syncInvoice',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const mockInvoices = [
+    {
+        Id: 'a07000000000001',
+        Name: 'PPI-00000001',
+        PayPal_Invoice_ID__c: 'INV2-TEST-0001',
+        Invoice_Number__c: '0001',
+        Status__c: 'Draft',
+        Amount__c: 115,
+        Paid_Amount__c: 0,
+        Currency_Code__c: 'USD',
+        Recipient_Email__c: 'billing@example.com'
+    },
+    {
+        Id: 'a07000000000002',
+        Name: 'PPI-00000002',
+        PayPal_Invoice_ID__c: 'INV2-TEST-0002',
+        Status__c: 'Partially Paid',
+        Amount__c: 200,
+        Paid_Amount__c: 50,
+        Currency_Code__c: 'USD',
+        Invoice_URL__c: 'https://www.sandbox.paypal.com/invoice/p/#INV2-TEST-0002'
+    }
+];
+
+describe('c-payment-invoices', () => {
+    const flushPromises = () => Promise.resolve();
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent(objectApiName) {
+        const element = createElement('c-payment-invoices', {
+            is: PaymentInvoices
+        });
+        element.recordId = '006000000000001';
+        element.objectApiName = objectApiName;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('lists the record invoices with amounts and status', async () => {
+        const element = createComponent('Opportunity');
+
+        getInvoices.emit(mockInvoices);
+        await flushPromises();
+
+        expect(getInvoices.getLastConfig()).toEqual({ recordId: '006000000000001' });
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data).toHaveLength(2);
+        expect(dataTable.data[0].invoiceLabel).toBe('0001');
+        expect(dataTable.data[1].invoiceLabel).toBe('PPI-00000002');
+        expect(dataTable.data[1].formattedPaidAmount).toContain('50.00');
+    });
+
+    it('only offers new invoices on opportunities and orders', async () => {
+        const element = createComponent('Account');
+
+        getInvoices.emit([]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="new-invoice-btn"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="empty-message"]')).not.toBeNull();
+    });
+
+    it('creates a draft invoice for the record', async () => {
+        createDraftInvoice.mockResolvedValue(mockInvoices[0]);
+        const element = createComponent('Opportunity');
+
+        getInvoices.emit([]);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="new-invoice-btn"]').click();
+        await flushPromises();
+
+        const emailInput = element.shadowRoot.querySelector('[data-id="recipient-email"]');
+        emailInput.value = 'ap@example.com';
+        emailInput.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('[data-id="create-invoice-btn"]').click();
+        await flushPromises();
+
+        expect(createDraftInvoice).toHaveBeenCalledWith({
+            recordId: '006000000000001',
+            recipientEmail: 'ap@example.com',
+            dueDate: null
+        });
+    });
+
+    it('sends a draft from the row action', async () => {
+        sendInvoice.mockResolvedValue('Sent');
+        const element = createComponent('Opportunity');
+
+        getInvoices.emit(mockInvoices);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(new CustomEvent('rowaction', {
+            detail: {
+                action: { name: 'send' },
+                row: mockInvoices[0]
+            }
+        }));
+        await flushPromises();
+
+        expect(sendInvoice).toHaveBeenCalledWith({ invoiceId: 'INV2-TEST-0001' });
+    });
+
+    it('records an offline payment for the amount still due', async () => {
+        recordOfflinePayment.mockResolvedValue('Marked As Paid');
+        const element = createComponent('Opportunity');
+
+        getInvoices.emit(mockInvoices);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(new CustomEvent('rowaction', {
+            detail: {
+                action: { name: 'record_payment' },
+                row: mockInvoices[1]
+            }
+        }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="payment-amount"]').value).toBe(150);
+        element.shadowRoot.querySelector('[data-id="record-payment-btn"]').click();
+        await flushPromises();
+
+        expect(recordOfflinePayment).toHaveBeenCalledWith({
+            invoiceId: 'INV2-TEST-0002',
+            amount: 150,
+            method: 'BANK_TRANSFER',
+            paymentDate: null,
+            note: null
+        });
+    });
+});
\ No newline at end of file
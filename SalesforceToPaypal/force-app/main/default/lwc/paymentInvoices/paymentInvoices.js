@@ -0,0 +1,253 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getInvoices from '@salesforce/apex/PayPalInvoiceService.getInvoices';
+import createDraftInvoice from '@salesforce/apex/PayPalInvoiceService.createDraftInvoice';
+import sendInvoice from '@salesforce/apex/PayPalInvoiceService.sendInvoice';
+import remindInvoice from '@salesforce/apex/PayPalInvoiceService.remindInvoice';
+import cancelInvoice from '@salesforce/apex/PayPalInvoiceService.cancelInvoice';
+import recordOfflinePayment from '@salesforce/apex/PayPalInvoiceService.recordOfflinePayment';
+import syncInvoice from '@salesforce/apex/PayPalInvoiceService.syncInvoice';
+import { formatCurrency } from 'c/currencyUtils';
+
+// Objects an invoice can be drafted from; on other pages the component only lists invoices
+const INVOICEABLE_OBJECTS = ['Opportunity', 'Order'];
+const OPEN_STATUSES = ['Sent', 'Unpaid', 'Partially Paid', 'Payment Pending'];
+
+const getRowActions = (row, doneCallback) => {
+    const actions = [];
+    if (row.Status__c === 'Draft') {
+        actions.push({ label: 'Send', name: 'send' });
+    }
+    if (OPEN_STATUSES.includes(row.Status__c)) {
+        actions.push({ label: 'Send Reminder', name: 'remind' });
+        actions.push({ label: 'Record Payment', name: 'record_payment' });
+    }
+    if (row.Status__c === 'Draft' || row.Status__c === 'Scheduled' || OPEN_STATUSES.includes(row.Status__c)) {
+        actions.push({ label: 'Cancel', name: 'cancel' });
+    }
+    actions.push({ label: 'Refresh Status', name: 'sync' });
+    doneCallback(actions);
+};
+
+const COLUMNS = [
+    {
+        label: 'Invoice',
+        fieldName: 'invoiceLabel',
+        type: 'text'
+    },
+    {
+        label: 'Status',
+        fieldName: 'Status__c',
+        type: 'text'
+    },
+    {
+        label: 'Amount',
+        fieldName: 'formattedAmount',
+        type: 'text'
+    },
+    {
+        label: 'Paid',
+        fieldName: 'formattedPaidAmount',
+        type: 'text'
+    },
+    {
+        label: 'Due Date',
+        fieldName: 'Due_Date__c',
+        type: 'date-local'
+    },
+    {
+        label: 'Recipient',
+        fieldName: 'Recipient_Email__c',
+        type: 'email'
+    },
+    {
+        label: 'PayPal',
+        fieldName: 'Invoice_URL__c',
+        type: 'url',
+        typeAttributes: {
+            label: 'Open in PayPal',
+            target: '_blank'
+        }
+    },
+    {
+        type: 'action',
+        typeAttributes: {
+            rowActions: getRowActions
+        }
+    }
+];
+
+export default class PaymentInvoices extends LightningElement {
+    @api recordId;
+    @api objectApiName;
+
+    @track invoices = [];
+    @track isLoading = true;
+    @track error;
+    @track showCreateForm = false;
+    @track recipientEmail = '';
+    @track dueDate;
+    @track paymentInvoice;
+    @track paymentAmount;
+    @track paymentMethod = 'BANK_TRANSFER';
+    @track paymentDate;
+
+    columns = COLUMNS;
+    wiredInvoicesResult;
+
+    paymentMethodOptions = [
+        { label: 'Bank Transfer', value: 'BANK_TRANSFER' },
+        { label: 'Check', value: 'CHECK' },
+        { label: 'Cash', value: 'CASH' },
+        { label: 'Wire Transfer', value: 'WIRE_TRANSFER' },
+        { label: 'Credit Card', value: 'CREDIT_CARD' },
+        { label: 'Debit Card', value: 'DEBIT_CARD' },
+        { label: 'PayPal', value: 'PAYPAL' },
+        { label: 'Other', value: 'OTHER' }
+    ];
+
+    @wire(getInvoices, { recordId: '$recordId' })
+    wiredInvoices(result) {
+        this.wiredInvoicesResult = result;
+        if (result.data) {
+            this.invoices = result.data.map(invoice => ({
+                ...invoice,
+                invoiceLabel: invoice.Invoice_Number__c || invoice.Name,
+                formattedAmount: formatCurrency(invoice.Amount__c, invoice.Currency_Code__c),
+                formattedPaidAmount: formatCurrency(invoice.Paid_Amount__c || 0, invoice.Currency_Code__c)
+            }));
+            this.error = null;
+            this.isLoading = false;
+        } else if (result.error) {
+            this.error = result.error;
+            this.invoices = [];
+            this.isLoading = false;
+            this.showToast('Error', 'Failed to load invoices', 'error');
+        }
+    }
+
+    get hasInvoices() {
+        return this.invoices && this.invoices.length > 0;
+    }
+
+    get canCreateInvoice() {
+        return INVOICEABLE_OBJECTS.includes(this.objectApiName);
+    }
+
+    get showPaymentForm() {
+        return !!this.paymentInvoice;
+    }
+
+    get paymentFormTitle() {
+        return this.paymentInvoice ? `Record Payment for ${this.paymentInvoice.invoiceLabel}` : '';
+    }
+
+    toggleCreateForm() {
+        this.showCreateForm = !this.showCreateForm;
+    }
+
+    handleRecipientEmailChange(event) {
+        this.recipientEmail = event.target.value;
+    }
+
+    handleDueDateChange(event) {
+        this.dueDate = event.target.value;
+    }
+
+    handlePaymentAmountChange(event) {
+        this.paymentAmount = event.target.value;
+    }
+
+    handlePaymentMethodChange(event) {
+        this.paymentMethod = event.detail.value;
+    }
+
+    handlePaymentDateChange(event) {
+        this.paymentDate = event.target.value;
+    }
+
+    async handleCreateInvoice() {
+        await this.runAction(
+            () => createDraftInvoice({
+                recordId: this.recordId,
+                recipientEmail: this.recipientEmail || null,
+                dueDate: this.dueDate || null
+            }),
+            'Draft invoice created'
+        );
+        this.showCreateForm = false;
+    }
+
+    handleRowAction(event) {
+        const invoice = event.detail.row;
+        const invoiceId = invoice.PayPal_Invoice_ID__c;
+
+        switch (event.detail.action.name) {
+            case 'send':
+                this.runAction(() => sendInvoice({ invoiceId }), 'Invoice sent');
+                break;
+            case 'remind':
+                this.runAction(() => remindInvoice({ invoiceId, note: null }), 'Reminder sent');
+                break;
+            case 'cancel':
+                this.runAction(() => cancelInvoice({ invoiceId, note: null }), 'Invoice cancelled');
+                break;
+            case 'sync':
+                this.runAction(() => syncInvoice({ invoiceId }), 'Invoice status refreshed');
+                break;
+            case 'record_payment':
+                this.paymentInvoice = invoice;
+                this.paymentAmount = (invoice.Amount__c || 0) - (invoice.Paid_Amount__c || 0);
+                break;
+            default:
+                break;
+        }
+    }
+
+    async handleRecordPayment() {
+        await this.runAction(
+            () => recordOfflinePayment({
+                invoiceId: this.paymentInvoice.PayPal_Invoice_ID__c,
+                amount: parseFloat(this.paymentAmount),
+                method: this.paymentMethod,
+                paymentDate: this.paymentDate || null,
+                note: null
+            }),
+            'Payment recorded'
+        );
+        this.paymentInvoice = null;
+    }
+
+    handleCancelPayment() {
+        this.paymentInvoice = null;
+    }
+
+    async runAction(action, successMessage) {
+        this.isLoading = true;
+
+        try {
+            await action();
+            this.showToast('Success', successMessage, 'success');
+            await refreshApex(this.wiredInvoicesResult);
+        } catch (error) {
+            console.error('Invoice action error:', error);
+            this.showToast('Error', 'Invoice action failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    refreshData() {
+        return refreshApex(this.wiredInvoicesResult);
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file
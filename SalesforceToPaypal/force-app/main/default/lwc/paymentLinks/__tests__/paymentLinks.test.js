@@ -0,0 +1,181 @@
+import { createElement } from 'lwc';
+import PaymentLinks from 'c/paymentLinks';
+import getPaymentLinks from '@salesforce/apex/PayPalPaymentLinkService.getPaymentLinks';
+import createPaymentLink from '@salesforce/apex/PayPalPaymentLinkService.createPaymentLink';
+import sendPaymentLink from '@salesforce/apex/PayPalPaymentLinkService.sendPaymentLink';
+import cancelPaymentLink from '@salesforce/apex/PayPalPaymentLinkService.cancelPaymentLink';
+
+jest.mock(
+    '@salesforce/apex/PayPalPaymentLinkService.getPaymentLinks',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalPaymentLinkService.createPaymentLink',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalPaymentLinkService.sendPaymentLink',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalPaymentLinkService.cancelPaymentLink',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalCurrencyRegistry.getCurrencies',
+    () => {
+        return {
+            default: jest.fn(() => Promise.resolve([{ code: 'USD', label: 'US Dollar', decimalPlaces: 2 }]))
+        };
+    },
+    { virtual: true }
+);
+
+const mockPaymentLinks = [
+    {
+        Id: 'a0B000000000001',
+        Name: 'PPL-00000001',
+        Status__c: 'Active',
+        Amount__c: 250,
+        Currency_Code__c: 'USD',
+        Description__c: 'Consulting',
+        Recipient_Email__c: 'buyer@example.com',
+        Expires_At__c: '2030-01-08T10:00:00.000Z',
+        Link_URL__c: 'https://acme.my.salesforce-sites.com/pay/PayPalPaymentLink?link=abc123'
+    }
+];
+
+describe('c-payment-links', () => {
+    const flushPromises = () => Promise.resolve();
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-payment-links', {
+            is: PaymentLinks
+        });
+        element.recordId = '006000000000001';
+        document.body.appendChild(element);
+        return element;
+    }
+
+    function changeInput(element, dataId, value) {
+        const input = element.shadowRoot.querySelector(`[data-id="${dataId}"]`);
+        input.value = value;
+        input.dispatchEvent(new CustomEvent('change'));
+    }
+
+    it('lists the record payment links with amounts', async () => {
+        const element = createComponent();
+
+        getPaymentLinks.emit(mockPaymentLinks);
+        await flushPromises();
+
+        expect(getPaymentLinks.getLastConfig()).toEqual({ recordId: '006000000000001' });
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data).toHaveLength(1);
+        expect(dataTable.data[0].formattedAmount).toContain('250.00');
+    });
+
+    it('creates a link and emails it to the recipient', async () => {
+        createPaymentLink.mockResolvedValue(mockPaymentLinks[0]);
+        sendPaymentLink.mockResolvedValue(mockPaymentLinks[0]);
+        const element = createComponent();
+
+        getPaymentLinks.emit([]);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="new-link-btn"]').click();
+        await flushPromises();
+
+        changeInput(element, 'amount', '250');
+        changeInput(element, 'description', 'Consulting');
+        changeInput(element, 'recipient-email', 'buyer@example.com');
+        changeInput(element, 'expiry-days', '14');
+        const sendEmailCheckbox = element.shadowRoot.querySelector('[data-id="send-email"]');
+        sendEmailCheckbox.checked = true;
+        sendEmailCheckbox.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="create-link-btn"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(createPaymentLink).toHaveBeenCalledWith({
+            recordId: '006000000000001',
+            amount: 250,
+            currencyCode: 'USD',
+            description: 'Consulting',
+            recipientEmail: 'buyer@example.com',
+            expiryDays: 14
+        });
+        expect(sendPaymentLink).toHaveBeenCalledWith({ paymentLinkId: 'a0B000000000001' });
+    });
+
+    it('copies the link to the clipboard', async () => {
+        const writeText = jest.fn(() => Promise.resolve());
+        Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+        const element = createComponent();
+
+        getPaymentLinks.emit(mockPaymentLinks);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(new CustomEvent('rowaction', {
+            detail: {
+                action: { name: 'copy' },
+                row: mockPaymentLinks[0]
+            }
+        }));
+        await flushPromises();
+
+        expect(writeText).toHaveBeenCalledWith('https://acme.my.salesforce-sites.com/pay/PayPalPaymentLink?link=abc123');
+    });
+
+    it('cancels the link from the row action', async () => {
+        cancelPaymentLink.mockResolvedValue({ ...mockPaymentLinks[0], Status__c: 'Cancelled' });
+        const element = createComponent();
+
+        getPaymentLinks.emit(mockPaymentLinks);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(new CustomEvent('rowaction', {
+            detail: {
+                action: { name: 'cancel' },
+                row: mockPaymentLinks[0]
+            }
+        }));
+        await flushPromises();
+
+        expect(cancelPaymentLink).toHaveBeenCalledWith({ paymentLinkId: 'a0B000000000001' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,255 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getPaymentLinks from '@salesforce/apex/PayPalPaymentLinkService.getPaymentLinks';
+import createPaymentLink from '@salesforce/apex/PayPalPaymentLinkService.createPaymentLink';
+import sendPaymentLink from '@salesforce/apex/PayPalPaymentLinkService.sendPaymentLink';
+import cancelPaymentLink from '@salesforce/apex/PayPalPaymentLinkService.cancelPaymentLink';
+import getCurrencies from '@salesforce/apex/PayPalCurrencyRegistry.getCurrencies';
+import { formatCurrency } from 'c/currencyUtils';
+
+const getRowActions = (row, doneCallback) => {
+    const actions = [];
+    if (row.Status__c === 'Active') {
+        actions.push({ label: 'Copy Link', name: 'copy' });
+        if (row.Recipient_Email__c) {
+            actions.push({ label: 'Send Email', name: 'send' });
+        }
+        actions.push({ label: 'Cancel', name: 'cancel' });
+    }
+    doneCallback(actions);
+};
+
+const COLUMNS = [
+    {
+        label: 'Link',
+        fieldName: 'Name',
+        type: 'text'
+    },
+    {
+        label: 'Status',
+        fieldName: 'Status__c',
+        type: 'text'
+    },
+    {
+        label: 'Amount',
+        fieldName: 'formattedAmount',
+        type: 'text'
+    },
+    {
+        label: 'Recipient',
+        fieldName: 'Recipient_Email__c',
+        type: 'email'
+    },
+    {
+        label: 'Expires',
+        fieldName: 'Expires_At__c',
+        type: 'date',
+        typeAttributes: {
+            year: 'numeric',
+            month: 'short',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }
+    },
+    {
+        type: 'action',
+        typeAttributes: {
+            rowActions: getRowActions
+        }
+    }
+];
+
+export default class PaymentLinks extends LightningElement {
+    @api recordId;
+
+    @track paymentLinks = [];
+    @track currencies = [];
+    @track isLoading = true;
+    @track error;
+    @track showCreateForm = false;
+    @track amount;
+    @track currencyCode = 'USD';
+    @track description = '';
+    @track recipientEmail = '';
+    @track expiryDays;
+    @track sendEmail = false;
+
+    columns = COLUMNS;
+    wiredPaymentLinksResult;
+
+    connectedCallback() {
+        this.loadCurrencies();
+    }
+
+    async loadCurrencies() {
+        try {
+            this.currencies = (await getCurrencies()) || [];
+        } catch (error) {
+            console.error('Error loading currencies:', error);
+        }
+    }
+
+    @wire(getPaymentLinks, { recordId: '$recordId' })
+    wiredPaymentLinks(result) {
+        this.wiredPaymentLinksResult = result;
+        if (result.data) {
+            this.paymentLinks = result.data.map(paymentLink => ({
+                ...paymentLink,
+                formattedAmount: formatCurrency(paymentLink.Amount__c, paymentLink.Currency_Code__c)
+            }));
+            this.error = null;
+            this.isLoading = false;
+        } else if (result.error) {
+            this.error = result.error;
+            this.paymentLinks = [];
+            this.isLoading = false;
+            this.showToast('Error', 'Failed to load payment links', 'error');
+        }
+    }
+
+    get hasPaymentLinks() {
+        return this.paymentLinks && this.paymentLinks.length > 0;
+    }
+
+    get currencyOptions() {
+        return this.currencies.map((currency) => ({
+            label: `${currency.code} - ${currency.label}`,
+            value: currency.code
+        }));
+    }
+
+    get createDisabled() {
+        return this.isLoading || !(parseFloat(this.amount) > 0) || !this.description.trim();
+    }
+
+    get sendEmailDisabled() {
+        return !this.recipientEmail;
+    }
+
+    toggleCreateForm() {
+        this.showCreateForm = !this.showCreateForm;
+    }
+
+    handleAmountChange(event) {
+        this.amount = event.target.value;
+    }
+
+    handleCurrencyChange(event) {
+        this.currencyCode = event.detail.value;
+    }
+
+    handleDescriptionChange(event) {
+        this.description = event.target.value;
+    }
+
+    handleRecipientEmailChange(event) {
+        this.recipientEmail = event.target.value;
+        if (!this.recipientEmail) {
+            this.sendEmail = false;
+        }
+    }
+
+    handleExpiryDaysChange(event) {
+        this.expiryDays = event.target.value;
+    }
+
+    handleSendEmailChange(event) {
+        this.sendEmail = event.target.checked;
+    }
+
+    // The link can be emailed straight away or copied from the list and shared another way
+    async handleCreateLink() {
+        this.isLoading = true;
+
+        try {
+            const paymentLink = await createPaymentLink({
+                recordId: this.recordId,
+                amount: parseFloat(this.amount),
+                currencyCode: this.currencyCode,
+                description: this.description,
+                recipientEmail: this.recipientEmail || null,
+                expiryDays: this.expiryDays ? parseInt(this.expiryDays, 10) : null
+            });
+            if (this.sendEmail) {
+                await sendPaymentLink({ paymentLinkId: paymentLink.Id });
+                this.showToast('Success', `Payment link emailed to ${this.recipientEmail}`, 'success');
+            } else {
+                this.showToast('Success', 'Payment link created', 'success');
+            }
+            this.resetForm();
+            await refreshApex(this.wiredPaymentLinksResult);
+        } catch (error) {
+            console.error('Error creating payment link:', error);
+            this.showToast('Error', 'Failed to create payment link: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleRowAction(event) {
+        const paymentLink = event.detail.row;
+
+        switch (event.detail.action.name) {
+            case 'copy':
+                this.copyLink(paymentLink);
+                break;
+            case 'send':
+                this.runAction(() => sendPaymentLink({ paymentLinkId: paymentLink.Id }), `Payment link emailed to ${paymentLink.Recipient_Email__c}`);
+                break;
+            case 'cancel':
+                this.runAction(() => cancelPaymentLink({ paymentLinkId: paymentLink.Id }), 'Payment link cancelled');
+                break;
+            default:
+                break;
+        }
+    }
+
+    async copyLink(paymentLink) {
+        try {
+            await navigator.clipboard.writeText(paymentLink.Link_URL__c);
+            this.showToast('Success', 'Payment link copied to the clipboard', 'success');
+        } catch (error) {
+            // Clipboard access can be blocked by the browser; show the link so it can be copied by hand
+            this.showToast('Payment Link', paymentLink.Link_URL__c, 'info');
+        }
+    }
+
+    async runAction(action, successMessage) {
+        this.isLoading = true;
+
+        try {
+            await action();
+            this.showToast('Success', successMessage, 'success');
+            await refreshApex(this.wiredPaymentLinksResult);
+        } catch (error) {
+            console.error('Payment link action error:', error);
+            this.showToast('Error', 'Payment link action failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    resetForm() {
+        this.showCreateForm = false;
+        this.amount = null;
+        this.description = '';
+        this.recipientEmail = '';
+        this.expiryDays = null;
+        this.sendEmail = false;
+    }
+
+    refreshData() {
+        return refreshApex(this.wiredPaymentLinksResult);
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+import { createElement } from 'lwc';
+import PaymentRetryQueue from 'c/paymentRetryQueue';
+import getRetryRequests from '@salesforce/apex/PayPalRetryProcessor.getRetryRequests';
+import requeueRetryRequests from '@salesforce/apex/PayPalRetryProcessor.requeueRetryRequests';
+
+jest.mock(
+    '@salesforce/apex/PayPalRetryProcessor.getRetryRequests',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalRetryProcessor.requeueRetryRequests',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const mockDeadLetters = [
+    {
+        Id: 'a05000000000001',
+        Name: 'RTRY-00000001',
+        Operation__c: 'Refund',
+        Status__c: 'Dead Letter',
+        Transaction__c: 'a01000000000001',
+        Transaction__r: { Name: 'PT-00000001' },
+        Attempts__c: 5,
+        Max_Attempts__c: 5,
+        Last_Status_Code__c: 503
+    }
+];
+
+describe('c-payment-retry-queue', () => {
+    const flushPromises = () => Promise.resolve();
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists dead letters with their transaction and attempts', async () => {
+        const element = createElement('c-payment-retry-queue', {
+            is: PaymentRetryQueue
+        });
+        document.body.appendChild(element);
+
+        getRetryRequests.emit(mockDeadLetters);
+        await flushPromises();
+
+        expect(getRetryRequests.getLastConfig()).toEqual({ status: 'Dead Letter' });
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data[0].transactionName).toBe('PT-00000001');
+        expect(dataTable.data[0].attemptsLabel).toBe('5 of 5');
+    });
+
+    it('shows an empty message when nothing is queued', async () => {
+        const element = createElement('c-payment-retry-queue', {
+            is: PaymentRetryQueue
+        });
+        document.body.appendChild(element);
+
+        getRetryRequests.emit([]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="empty-message"]')).not.toBeNull();
+    });
+
+    it('requeues a dead letter from the row action', async () => {
+        requeueRetryRequests.mockResolvedValue(1);
+
+        const element = createElement('c-payment-retry-queue', {
+            is: PaymentRetryQueue
+        });
+        document.body.appendChild(element);
+
+        getRetryRequests.emit(mockDeadLetters);
+        await flushPromises();
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        dataTable.dispatchEvent(new CustomEvent('rowaction', {
+            detail: {
+                action: { name: 'requeue' },
+                row: mockDeadLetters[0]
+            }
+        }));
+        await flushPromises();
+
+        expect(requeueRetryRequests).toHaveBeenCalledWith({ retryRequestIds: ['a05000000000001'] });
+    });
+
+    it('requeues the selected dead letters', async () => {
+        requeueRetryRequests.mockResolvedValue(1);
+
+        const element = createElement('c-payment-retry-queue', {
+            is: PaymentRetryQueue
+        });
+        document.body.appendChild(element);
+
+        getRetryRequests.emit(mockDeadLetters);
+        await flushPromises();
+
+        const requeueButton = element.shadowRoot.querySelector('[data-id="requeue-selected-btn"]');
+        expect(requeueButton.disabled).toBe(true);
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        dataTable.dispatchEvent(new CustomEvent('rowselection', {
+            detail: { selectedRows: mockDeadLetters }
+        }));
+        await flushPromises();
+
+        expect(requeueButton.disabled).toBe(false);
+        requeueButton.click();
+        await flushPromises();
+
+        expect(requeueRetryRequests).toHaveBeenCalledWith({ retryRequestIds: ['a05000000000001'] });
+    });
+});
\ No newline at end of file
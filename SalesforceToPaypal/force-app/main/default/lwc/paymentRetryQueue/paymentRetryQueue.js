@@ -0,0 +1,160 @@
+import { LightningElement, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getRetryRequests from '@salesforce/apex/PayPalRetryProcessor.getRetryRequests';
+import requeueRetryRequests from '@salesforce/apex/PayPalRetryProcessor.requeueRetryRequests';
+
+const DEAD_LETTER = 'Dead Letter';
+
+const COLUMNS = [
+    {
+        label: 'Request',
+        fieldName: 'Name',
+        type: 'text'
+    },
+    {
+        label: 'Operation',
+        fieldName: 'Operation__c',
+        type: 'text'
+    },
+    {
+        label: 'Transaction',
+        fieldName: 'transactionName',
+        type: 'text'
+    },
+    {
+        label: 'Attempts',
+        fieldName: 'attemptsLabel',
+        type: 'text'
+    },
+    {
+        label: 'Last Status Code',
+        fieldName: 'Last_Status_Code__c',
+        type: 'number'
+    },
+    {
+        label: 'Next Attempt',
+        fieldName: 'Next_Attempt_At__c',
+        type: 'date',
+        typeAttributes: {
+            year: 'numeric',
+            month: 'short',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }
+    },
+    {
+        type: 'action',
+        typeAttributes: {
+            rowActions: [
+                { label: 'Requeue', name: 'requeue' }
+            ]
+        }
+    }
+];
+
+export default class PaymentRetryQueue extends LightningElement {
+    @track requests = [];
+    @track statusFilter = DEAD_LETTER;
+    @track selectedIds = [];
+    @track isLoading = true;
+    @track error;
+
+    wiredRequestsResult;
+
+    statusOptions = [
+        { label: 'Dead Letter', value: DEAD_LETTER },
+        { label: 'Pending', value: 'Pending' },
+        { label: 'Succeeded', value: 'Succeeded' }
+    ];
+
+    @wire(getRetryRequests, { status: '$statusFilter' })
+    wiredRequests(result) {
+        this.wiredRequestsResult = result;
+        if (result.data) {
+            this.requests = result.data.map(request => ({
+                ...request,
+                transactionName: request.Transaction__r?.Name,
+                attemptsLabel: `${request.Attempts__c} of ${request.Max_Attempts__c}`
+            }));
+            this.error = null;
+            this.isLoading = false;
+        } else if (result.error) {
+            this.error = result.error;
+            this.requests = [];
+            this.isLoading = false;
+            this.showToast('Error', 'Failed to load retry queue', 'error');
+        }
+    }
+
+    get columns() {
+        // Only dead letters can be requeued
+        return this.isDeadLetterView ? COLUMNS : COLUMNS.filter(column => column.type !== 'action');
+    }
+
+    get hasRequests() {
+        return this.requests && this.requests.length > 0;
+    }
+
+    get isDeadLetterView() {
+        return this.statusFilter === DEAD_LETTER;
+    }
+
+    get isSelectionHidden() {
+        return !this.isDeadLetterView;
+    }
+
+    get isRequeueDisabled() {
+        return !this.isDeadLetterView || this.selectedIds.length === 0 || this.isLoading;
+    }
+
+    handleStatusChange(event) {
+        this.statusFilter = event.detail.value;
+        this.selectedIds = [];
+        this.isLoading = true;
+    }
+
+    handleRowSelection(event) {
+        this.selectedIds = event.detail.selectedRows.map(row => row.Id);
+    }
+
+    handleRowAction(event) {
+        if (event.detail.action.name === 'requeue') {
+            this.requeue([event.detail.row.Id]);
+        }
+    }
+
+    handleRequeueSelected() {
+        this.requeue(this.selectedIds);
+    }
+
+    async requeue(retryRequestIds) {
+        this.isLoading = true;
+
+        try {
+            const requeuedCount = await requeueRetryRequests({ retryRequestIds });
+            this.showToast('Success', `${requeuedCount} request(s) requeued`, 'success');
+            this.selectedIds = [];
+            await refreshApex(this.wiredRequestsResult);
+        } catch (error) {
+            console.error('Requeue error:', error);
+            this.showToast('Error', 'Requeue failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    refreshData() {
+        return refreshApex(this.wiredRequestsResult);
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file
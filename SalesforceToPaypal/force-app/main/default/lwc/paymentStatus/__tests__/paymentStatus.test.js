@@ -2,6 +2,11 @@ import { createElement } from 'lwc';
 import PaymentStatus from 'c/paymentStatus';
 import capturePayment from '@salesforce/apex/PaymentProcessor.capturePayment';
 import refundPayment from '@salesforce/apex/PaymentProcessor.refundPayment';
+import getPaymentStatus from '@salesforce/apex/PayPalService.getPaymentStatus';
+import captureAuthorization from '@salesforce/apex/PayPalService.captureAuthorization';
+import voidAuthorization from '@salesforce/apex/PayPalService.voidAuthorization';
+import refundPaymentWithReason from '@salesforce/apex/PayPalService.refundPaymentWithReason';
+import { subscribe, unsubscribe } from 'lightning/empApi';
 
 // Mock the Apex methods
 jest.mock(
@@ -26,6 +31,86 @@ jest.mock(
     { virtual: true }
 );
 
+jest.mock(
+    '@salesforce/apex/PayPalService.getPaymentStatus',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.captureAuthorization',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.voidAuthorization',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalService.refundPaymentWithReason',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const AUTHORIZED_PAYMENT = {
+    Id: 'a01000000000001AAA',
+    Name: 'TXN-00000001',
+    PayPal_Order_ID__c: 'ORDER123',
+    Amount__c: 100,
+    Currency_Code__c: 'USD',
+    Status__c: 'Authorized',
+    Payment_Intent__c: 'AUTHORIZE',
+    Authorization_Expiration__c: '2024-01-30T00:00:00.000Z',
+    CreatedDate: '2024-01-01T00:00:00.000Z',
+    LastModifiedDate: '2024-01-01T00:00:00.000Z'
+};
+
+const PARTIALLY_REFUNDED_PAYMENT = {
+    Id: 'a01000000000002AAA',
+    Name: 'TXN-00000002',
+    PayPal_Order_ID__c: 'ORDER456',
+    Amount__c: 100,
+    Currency_Code__c: 'USD',
+    Status__c: 'Partially Refunded',
+    Refunded_Amount__c: 30,
+    Refundable_Amount__c: 70,
+    CreatedDate: '2024-01-01T00:00:00.000Z',
+    LastModifiedDate: '2024-01-02T00:00:00.000Z',
+    Payment_Refunds__r: [
+        {
+            Id: 'a02000000000001AAA',
+            Name: 'RFD-00000001',
+            Amount__c: 30,
+            Currency_Code__c: 'USD',
+            Reason__c: 'Damaged item',
+            Status__c: 'Completed',
+            CreatedDate: '2024-01-02T00:00:00.000Z'
+        }
+    ]
+};
+
+const flushPromises = () => Promise.resolve();
+
 describe('c-payment-status', () => {
     afterEach(() => {
         while (document.body.firstChild) {
@@ -386,4 +471,306 @@ describe('c-payment-status', () => {
 
         expect(element.paymentStatus).toBe('Refunded');
     });
+});
+
+describe('c-payment-status authorization actions', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('shows capture and void buttons for authorized payments', async () => {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER123';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(AUTHORIZED_PAYMENT);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="capture-authorization-btn"]')).toBeTruthy();
+        expect(element.shadowRoot.querySelector('[data-id="void-authorization-btn"]')).toBeTruthy();
+    });
+
+    it('hides authorization actions once the payment is completed', async () => {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER123';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit({ ...AUTHORIZED_PAYMENT, Status__c: 'Completed' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="capture-authorization-btn"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="void-authorization-btn"]')).toBeNull();
+    });
+
+    it('captures the remaining authorized amount', async () => {
+        captureAuthorization.mockResolvedValue({ id: 'CAPTURE123', status: 'COMPLETED' });
+
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER123';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(AUTHORIZED_PAYMENT);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="capture-authorization-btn"]').click();
+        await flushPromises();
+
+        expect(captureAuthorization).toHaveBeenCalledWith({
+            orderId: 'ORDER123',
+            captureAmount: null
+        });
+    });
+
+    it('voids the authorization', async () => {
+        voidAuthorization.mockResolvedValue('Authorization voided');
+
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER123';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(AUTHORIZED_PAYMENT);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="void-authorization-btn"]').click();
+        await flushPromises();
+
+        expect(voidAuthorization).toHaveBeenCalledWith({ orderId: 'ORDER123' });
+    });
+});
+
+describe('c-payment-status refunds', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists previous refunds', async () => {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER456';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(PARTIALLY_REFUNDED_PAYMENT);
+        await flushPromises();
+
+        const refundItems = element.shadowRoot.querySelectorAll('[data-id="refund-list"] li');
+        expect(refundItems.length).toBe(1);
+        expect(refundItems[0].textContent).toContain('$30.00');
+        expect(refundItems[0].textContent).toContain('Damaged item');
+    });
+
+    it('does not offer refunds for subscription billing payments', async () => {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'SALE789';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit({
+            ...PARTIALLY_REFUNDED_PAYMENT,
+            PayPal_Order_ID__c: undefined,
+            PayPal_Capture_ID__c: 'SALE789',
+            Subscription__c: 'a03000000000001AAA',
+            Status__c: 'Completed',
+            Payment_Refunds__r: undefined
+        });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="refund-btn"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="partial-refund-btn"]')).toBeNull();
+    });
+
+    it('allows further partial refunds up to the remaining balance', async () => {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER456';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(PARTIALLY_REFUNDED_PAYMENT);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="partial-refund-btn"]').click();
+        await flushPromises();
+
+        const amountInput = element.shadowRoot.querySelector('[data-id="refund-amount"]');
+        expect(amountInput.max).toBe(70);
+    });
+
+    it('prefills a full refund with the remaining balance and sends the reason', async () => {
+        refundPaymentWithReason.mockResolvedValue('Refund successful');
+
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER456';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(PARTIALLY_REFUNDED_PAYMENT);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="refund-btn"]').click();
+        await flushPromises();
+
+        const reasonInput = element.shadowRoot.querySelector('[data-id="refund-reason"]');
+        reasonInput.value = 'Order cancelled';
+        reasonInput.dispatchEvent(new CustomEvent('change'));
+
+        element.shadowRoot.querySelector('[data-id="confirm-refund-btn"]').click();
+        await flushPromises();
+
+        expect(refundPaymentWithReason).toHaveBeenCalledWith({
+            orderId: 'ORDER456',
+            refundAmount: 70,
+            currencyCode: 'USD',
+            reason: 'Order cancelled'
+        });
+    });
+
+    it('rejects refunds above the remaining balance', async () => {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER456';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(PARTIALLY_REFUNDED_PAYMENT);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="partial-refund-btn"]').click();
+        await flushPromises();
+
+        const amountInput = element.shadowRoot.querySelector('[data-id="refund-amount"]');
+        amountInput.value = '80';
+        amountInput.dispatchEvent(new CustomEvent('change'));
+
+        element.shadowRoot.querySelector('[data-id="confirm-refund-btn"]').click();
+        await flushPromises();
+
+        expect(refundPaymentWithReason).not.toHaveBeenCalled();
+    });
+
+    it('warns when the refund was queued for retry', async () => {
+        refundPaymentWithReason.mockResolvedValue('Refund queued for retry');
+
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER456';
+        document.body.appendChild(element);
+
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        getPaymentStatus.emit(PARTIALLY_REFUNDED_PAYMENT);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="refund-btn"]').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="confirm-refund-btn"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(toastHandler).toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('warning');
+    });
+});
+
+describe('c-payment-status live updates', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function renderAuthorizedPayment() {
+        const element = createElement('c-payment-status', {
+            is: PaymentStatus
+        });
+        element.orderId = 'ORDER123';
+        document.body.appendChild(element);
+
+        getPaymentStatus.emit(AUTHORIZED_PAYMENT);
+        await flushPromises();
+        return element;
+    }
+
+    it('subscribes to payment status changes', async () => {
+        await renderAuthorizedPayment();
+
+        expect(subscribe).toHaveBeenCalledTimes(1);
+        expect(subscribe.mock.calls[0][0]).toBe('/event/Payment_Status_Changed__e');
+    });
+
+    it('updates the status in place when the payment changes', async () => {
+        const element = await renderAuthorizedPayment();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage({
+            data: {
+                payload: {
+                    Transaction_ID__c: AUTHORIZED_PAYMENT.Id,
+                    PayPal_Order_ID__c: 'ORDER123',
+                    Status__c: 'Completed',
+                    Previous_Status__c: 'Authorized',
+                    Captured_Amount__c: 100,
+                    Refundable_Amount__c: 100
+                }
+            }
+        });
+        await flushPromises();
+
+        const badge = element.shadowRoot.querySelector('lightning-badge');
+        expect(badge.label).toBe('Completed');
+        expect(toastHandler).toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Payment is now Completed');
+    });
+
+    it('ignores changes to other payments', async () => {
+        const element = await renderAuthorizedPayment();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage({
+            data: {
+                payload: {
+                    Transaction_ID__c: 'a01000000000009AAA',
+                    PayPal_Order_ID__c: 'ORDER999',
+                    Status__c: 'Completed'
+                }
+            }
+        });
+        await flushPromises();
+
+        const badge = element.shadowRoot.querySelector('lightning-badge');
+        expect(badge.label).toBe('Authorized');
+        expect(toastHandler).not.toHaveBeenCalled();
+    });
+
+    it('unsubscribes when removed', async () => {
+        const element = await renderAuthorizedPayment();
+
+        document.body.removeChild(element);
+
+        expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
 });
\ No newline at end of file
@@ -2,7 +2,19 @@ import { LightningElement, api, track, wire } from 'lwc';
 import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import getPaymentStatus from '@salesforce/apex/PayPalService.getPaymentStatus';
-import refundPayment from '@salesforce/apex/PayPalService.refundPayment';
+import refundPaymentWithReason from '@salesforce/apex/PayPalService.refundPaymentWithReason';
+import captureAuthorization from '@salesforce/apex/PayPalService.captureAuthorization';
+import voidAuthorization from '@salesforce/apex/PayPalService.voidAuthorization';
+import { formatCurrency } from 'c/currencyUtils';
+import {
+    subscribeToPaymentStatusChanges,
+    unsubscribeFromPaymentStatusChanges,
+    applyPaymentStatusChange
+} from 'c/paymentStatusEvents';
+
+// Returned by the Apex service when PayPal was unavailable and the request went onto the retry queue
+const RETRY_QUEUED_STATUS = 'RETRY_QUEUED';
+const REFUND_QUEUED_MESSAGE = 'Refund queued for retry';
 
 export default class PaymentStatus extends LightningElement {
     @api orderId;
@@ -10,10 +22,25 @@ export default class PaymentStatus extends LightningElement {
     @track isLoading = false;
     @track showRefundModal = false;
     @track refundAmount = '';
+    @track refundReason = '';
     @track isRefunding = false;
+    @track isUpdatingAuthorization = false;
     @track error;
 
     wiredPaymentResult;
+    statusSubscription;
+
+    connectedCallback() {
+        subscribeToPaymentStatusChanges((payload) => this.handlePaymentStatusChange(payload))
+            .then((subscription) => {
+                this.statusSubscription = subscription;
+            });
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPaymentStatusChanges(this.statusSubscription);
+        this.statusSubscription = null;
+    }
 
     @wire(getPaymentStatus, { orderId: '$orderId' })
     wiredPayment(result) {
@@ -28,6 +55,21 @@ export default class PaymentStatus extends LightningElement {
         }
     }
 
+    // Webhooks and scheduled jobs change payments too; show their changes straight away and reload
+    // the refund list, which the event does not carry
+    handlePaymentStatusChange(payload) {
+        if (!this.paymentData || payload.PayPal_Order_ID__c !== this.orderId) {
+            return;
+        }
+
+        const statusChanged = payload.Status__c !== this.paymentData.Status__c;
+        this.paymentData = applyPaymentStatusChange(this.paymentData, payload);
+        if (statusChanged) {
+            this.showToast('Payment Updated', `Payment is now ${payload.Status__c}`, 'info');
+        }
+        refreshApex(this.wiredPaymentResult);
+    }
+
     refreshPaymentStatus() {
         this.isLoading = true;
         return refreshApex(this.wiredPaymentResult)
@@ -43,7 +85,7 @@ export default class PaymentStatus extends LightningElement {
     }
 
     handleRefundClick() {
-        this.refundAmount = this.paymentData.Amount__c.toString();
+        this.refundAmount = this.maxRefundAmount.toString();
         this.showRefundModal = true;
     }
 
@@ -55,6 +97,7 @@ export default class PaymentStatus extends LightningElement {
     closeRefundModal() {
         this.showRefundModal = false;
         this.refundAmount = '';
+        this.refundReason = '';
         this.isRefunding = false;
     }
 
@@ -62,27 +105,36 @@ export default class PaymentStatus extends LightningElement {
         this.refundAmount = event.target.value;
     }
 
+    handleRefundReasonChange(event) {
+        this.refundReason = event.target.value;
+    }
+
     async processRefund() {
         if (!this.refundAmount || parseFloat(this.refundAmount) <= 0) {
             this.showToast('Error', 'Please enter a valid refund amount', 'error');
             return;
         }
 
-        if (parseFloat(this.refundAmount) > this.paymentData.Amount__c) {
-            this.showToast('Error', 'Refund amount cannot exceed the original payment amount', 'error');
+        if (parseFloat(this.refundAmount) > this.maxRefundAmount) {
+            this.showToast('Error', 'Refund amount cannot exceed the remaining refundable balance', 'error');
             return;
         }
 
         this.isRefunding = true;
 
         try {
-            await refundPayment({
+            const refundResult = await refundPaymentWithReason({
                 orderId: this.orderId,
                 refundAmount: parseFloat(this.refundAmount),
-                currencyCode: this.paymentData.Currency_Code__c
+                currencyCode: this.paymentData.Currency_Code__c,
+                reason: this.refundReason
             });
 
-            this.showToast('Success', 'Refund processed successfully', 'success');
+            if (refundResult === REFUND_QUEUED_MESSAGE) {
+                this.showToast('Refund Pending', 'PayPal is temporarily unavailable. The refund has been queued and will be retried automatically.', 'warning');
+            } else {
+                this.showToast('Success', 'Refund processed successfully', 'success');
+            }
             this.closeRefundModal();
             this.refreshPaymentStatus();
 
@@ -94,6 +146,45 @@ export default class PaymentStatus extends LightningElement {
         }
     }
 
+    async handleCaptureAuthorizationClick() {
+        this.isUpdatingAuthorization = true;
+
+        try {
+            const captureResult = await captureAuthorization({
+                orderId: this.orderId,
+                captureAmount: null
+            });
+
+            if (captureResult?.status === RETRY_QUEUED_STATUS) {
+                this.showToast('Capture Pending', 'PayPal is temporarily unavailable. The capture has been queued and will be retried automatically.', 'warning');
+            } else {
+                this.showToast('Success', 'Authorized payment captured successfully', 'success');
+            }
+            this.refreshPaymentStatus();
+        } catch (error) {
+            console.error('Capture error:', error);
+            this.showToast('Error', 'Capture failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isUpdatingAuthorization = false;
+        }
+    }
+
+    async handleVoidAuthorizationClick() {
+        this.isUpdatingAuthorization = true;
+
+        try {
+            await voidAuthorization({ orderId: this.orderId });
+
+            this.showToast('Success', 'Authorization voided', 'success');
+            this.refreshPaymentStatus();
+        } catch (error) {
+            console.error('Void error:', error);
+            this.showToast('Error', 'Void failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isUpdatingAuthorization = false;
+        }
+    }
+
     showToast(title, message, variant) {
         const evt = new ShowToastEvent({
             title: title,
@@ -111,9 +202,13 @@ export default class PaymentStatus extends LightningElement {
                 return 'success';
             case 'Failed':
             case 'Cancelled':
+            case 'Voided':
+            case 'Reversed':
                 return 'error';
             case 'Created':
             case 'Approved':
+            case 'Authorized':
+            case 'Partially Captured':
                 return 'warning';
             case 'Refunded':
             case 'Partially Refunded':
@@ -131,9 +226,13 @@ export default class PaymentStatus extends LightningElement {
                 return 'utility:success';
             case 'Failed':
             case 'Cancelled':
+            case 'Voided':
+            case 'Reversed':
                 return 'utility:error';
             case 'Created':
             case 'Approved':
+            case 'Authorized':
+            case 'Partially Captured':
                 return 'utility:clock';
             case 'Refunded':
             case 'Partially Refunded':
@@ -143,19 +242,60 @@ export default class PaymentStatus extends LightningElement {
         }
     }
 
+    // Subscription billing payments are refunded in PayPal, not from Salesforce
     get canRefund() {
         return this.paymentData && 
+               !this.paymentData.Subscription__c &&
                (this.paymentData.Status__c === 'Completed' || 
                 this.paymentData.Status__c === 'Partially Refunded');
     }
 
+    get canManageAuthorization() {
+        return this.paymentData &&
+               (this.paymentData.Status__c === 'Authorized' ||
+                this.paymentData.Status__c === 'Partially Captured');
+    }
+
+    get formattedAuthorizationExpiration() {
+        if (!this.paymentData || !this.paymentData.Authorization_Expiration__c) return '';
+        return new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).format(new Date(this.paymentData.Authorization_Expiration__c));
+    }
+
     get canPartialRefund() {
-        return this.paymentData && this.paymentData.Status__c === 'Completed';
+        return this.canRefund;
+    }
+
+    get refunds() {
+        if (!this.paymentData || !this.paymentData.Payment_Refunds__r) return [];
+        return this.paymentData.Payment_Refunds__r.map(refund => ({
+            ...refund,
+            formattedAmount: formatCurrency(refund.Amount__c, refund.Currency_Code__c || this.paymentData.Currency_Code__c),
+            formattedDate: new Intl.DateTimeFormat('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            }).format(new Date(refund.CreatedDate))
+        }));
+    }
+
+    get hasRefunds() {
+        return this.refunds.length > 0;
+    }
+
+    get formattedRefundableAmount() {
+        if (!this.paymentData) return '';
+        return formatCurrency(this.maxRefundAmount, this.paymentData.Currency_Code__c);
     }
 
     get formattedAmount() {
         if (!this.paymentData) return '';
-        return `${this.paymentData.Currency_Code__c} ${this.paymentData.Amount__c}`;
+        return formatCurrency(this.paymentData.Amount__c, this.paymentData.Currency_Code__c);
     }
 
     get formattedDate() {
@@ -181,7 +321,11 @@ export default class PaymentStatus extends LightningElement {
     }
 
     get maxRefundAmount() {
-        return this.paymentData ? this.paymentData.Amount__c : 0;
+        if (!this.paymentData) return 0;
+        if (this.paymentData.Refundable_Amount__c !== undefined && this.paymentData.Refundable_Amount__c !== null) {
+            return this.paymentData.Refundable_Amount__c;
+        }
+        return this.paymentData.Amount__c;
     }
 
     get isValidRefundAmount() {
@@ -0,0 +1,37 @@
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+
+const PAYMENT_STATUS_CHANNEL = '/event/Payment_Status_Changed__e';
+
+// Calls onStatusChange with the payload of each Payment_Status_Changed__e published from now on.
+// Resolves to the subscription to pass to unsubscribeFromPaymentStatusChanges, or null when the
+// streaming API is unavailable, e.g. in an Experience Cloud site.
+export function subscribeToPaymentStatusChanges(onStatusChange) {
+    onError((error) => {
+        console.error('Payment status channel error:', JSON.stringify(error));
+    });
+
+    return subscribe(PAYMENT_STATUS_CHANNEL, -1, (message) => onStatusChange(message.data.payload))
+        .catch((error) => {
+            console.error('Error subscribing to payment status changes:', error);
+            return null;
+        });
+}
+
+export function unsubscribeFromPaymentStatusChanges(subscription) {
+    if (subscription) {
+        unsubscribe(subscription);
+    }
+}
+
+// Copies the fields a status change carries onto a Payment_Transaction__c record
+export function applyPaymentStatusChange(paymentTransaction, payload) {
+    return {
+        ...paymentTransaction,
+        Status__c: payload.Status__c,
+        Status_Reason__c: payload.Status_Reason__c,
+        Captured_Amount__c: payload.Captured_Amount__c,
+        Refunded_Amount__c: payload.Refunded_Amount__c,
+        Refundable_Amount__c: payload.Refundable_Amount__c,
+        Net_Amount__c: payload.Net_Amount__c
+    };
+}
\ No newline at end of file
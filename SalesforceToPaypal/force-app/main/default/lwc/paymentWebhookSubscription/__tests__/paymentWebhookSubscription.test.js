@@ -0,0 +1,168 @@
+import { createElement } from 'lwc';
+import PaymentWebhookSubscription from 'c/paymentWebhookSubscription';
+import LightningConfirm from 'lightning/confirm';
+import getSubscriptionStatus from '@salesforce/apex/PayPalWebhookSubscriptionService.getSubscriptionStatus';
+import saveSubscription from '@salesforce/apex/PayPalWebhookSubscriptionService.saveSubscription';
+import deleteSubscription from '@salesforce/apex/PayPalWebhookSubscriptionService.deleteSubscription';
+
+jest.mock(
+    '@salesforce/apex/PayPalWebhookSubscriptionService.getSubscriptionStatus',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalWebhookSubscriptionService.saveSubscription',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalWebhookSubscriptionService.deleteSubscription',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock('lightning/confirm');
+
+const mockRegisteredStatus = {
+    listenerUrl: 'https://acme.my.salesforce.com/services/apexrest/paypal/webhook',
+    webhookId: 'WH-123',
+    configuredWebhookId: 'WH-123',
+    isRegistered: true,
+    isWebhookIdCurrent: true,
+    eventTypes: [
+        { name: 'CHECKOUT.PAYMENT-APPROVAL.REVERSED', description: 'A payment approval was reversed', handled: false, subscribed: true },
+        { name: 'PAYMENT.CAPTURE.COMPLETED', description: 'A payment capture completes', handled: true, subscribed: true },
+        { name: 'PAYMENT.CAPTURE.PENDING', description: 'A payment capture is pending', handled: true, subscribed: false }
+    ],
+    missingEventTypes: ['PAYMENT.CAPTURE.PENDING'],
+    unhandledEventTypes: ['CHECKOUT.PAYMENT-APPROVAL.REVERSED']
+};
+
+const mockUnregisteredStatus = {
+    listenerUrl: 'https://acme.my.salesforce.com/services/apexrest/paypal/webhook',
+    webhookId: null,
+    configuredWebhookId: null,
+    isRegistered: false,
+    isWebhookIdCurrent: false,
+    eventTypes: [
+        { name: 'PAYMENT.CAPTURE.COMPLETED', description: 'A payment capture completes', handled: true, subscribed: false },
+        { name: 'PAYMENT.ORDER.CREATED', description: 'A payment order is created', handled: false, subscribed: false }
+    ],
+    missingEventTypes: ['PAYMENT.CAPTURE.COMPLETED'],
+    unhandledEventTypes: []
+};
+
+describe('c-payment-webhook-subscription', () => {
+    // Lets the status reload chained after each Apex call settle
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-payment-webhook-subscription', {
+            is: PaymentWebhookSubscription
+        });
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('shows the subscribed events and the drift from the handled events', async () => {
+        getSubscriptionStatus.mockResolvedValue(mockRegisteredStatus);
+
+        const element = createComponent();
+        await flushPromises();
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data).toHaveLength(3);
+        expect(dataTable.selectedRows).toEqual(['CHECKOUT.PAYMENT-APPROVAL.REVERSED', 'PAYMENT.CAPTURE.COMPLETED']);
+        expect(element.shadowRoot.querySelector('[data-id="missing-events"]').textContent).toContain('PAYMENT.CAPTURE.PENDING');
+        expect(element.shadowRoot.querySelector('[data-id="unhandled-events"]').textContent).toContain('CHECKOUT.PAYMENT-APPROVAL.REVERSED');
+        expect(element.shadowRoot.querySelector('[data-id="webhook-id-mismatch"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="save-btn"]').label).toBe('Update Subscription');
+    });
+
+    it('preselects the handled events before a webhook is registered', async () => {
+        getSubscriptionStatus.mockResolvedValue(mockUnregisteredStatus);
+
+        const element = createComponent();
+        await flushPromises();
+
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.selectedRows).toEqual(['PAYMENT.CAPTURE.COMPLETED']);
+        expect(element.shadowRoot.querySelector('[data-id="webhook-id"]').textContent).toContain('Not registered');
+        expect(element.shadowRoot.querySelector('[data-id="save-btn"]').label).toBe('Register Webhook');
+        expect(element.shadowRoot.querySelector('[data-id="delete-btn"]').disabled).toBe(true);
+    });
+
+    it('warns when the configured webhook ID does not match PayPal', async () => {
+        getSubscriptionStatus.mockResolvedValue({ ...mockRegisteredStatus, configuredWebhookId: 'WH-OLD', isWebhookIdCurrent: false });
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="webhook-id-mismatch"]')).not.toBeNull();
+    });
+
+    it('saves the selected event types and reloads the status', async () => {
+        getSubscriptionStatus.mockResolvedValue(mockRegisteredStatus);
+        saveSubscription.mockResolvedValue('WH-123');
+
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="select-handled-btn"]').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('[data-id="save-btn"]').click();
+        await flushPromises();
+
+        expect(saveSubscription).toHaveBeenCalledWith({ eventTypes: ['PAYMENT.CAPTURE.COMPLETED', 'PAYMENT.CAPTURE.PENDING'] });
+        expect(getSubscriptionStatus).toHaveBeenCalledTimes(2);
+    });
+
+    it('deletes the webhook only once confirmed', async () => {
+        getSubscriptionStatus.mockResolvedValue(mockRegisteredStatus);
+        deleteSubscription.mockResolvedValue();
+        LightningConfirm.open = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="delete-btn"]').click();
+        await flushPromises();
+        expect(deleteSubscription).not.toHaveBeenCalled();
+
+        element.shadowRoot.querySelector('[data-id="delete-btn"]').click();
+        await flushPromises();
+        expect(deleteSubscription).toHaveBeenCalled();
+    });
+
+    it('shows the error when the status cannot be loaded', async () => {
+        getSubscriptionStatus.mockRejectedValue({ body: { message: 'PayPal authentication failed' } });
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="load-error"]').textContent).toContain('PayPal authentication failed');
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+    });
+});
\ No newline at end of file
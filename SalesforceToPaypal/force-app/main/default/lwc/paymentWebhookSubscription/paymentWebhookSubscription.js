@@ -0,0 +1,172 @@
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
+import getSubscriptionStatus from '@salesforce/apex/PayPalWebhookSubscriptionService.getSubscriptionStatus';
+import saveSubscription from '@salesforce/apex/PayPalWebhookSubscriptionService.saveSubscription';
+import deleteSubscription from '@salesforce/apex/PayPalWebhookSubscriptionService.deleteSubscription';
+
+const COLUMNS = [
+    {
+        label: 'Event Type',
+        fieldName: 'name',
+        type: 'text'
+    },
+    {
+        label: 'Description',
+        fieldName: 'description',
+        type: 'text',
+        wrapText: true
+    },
+    {
+        label: 'Handled',
+        fieldName: 'handled',
+        type: 'boolean',
+        initialWidth: 100
+    },
+    {
+        label: 'Subscribed',
+        fieldName: 'subscribed',
+        type: 'boolean',
+        initialWidth: 110
+    }
+];
+
+export default class PaymentWebhookSubscription extends LightningElement {
+    @track status;
+    @track selectedEventTypes = [];
+    @track isLoading = true;
+    @track error;
+
+    columns = COLUMNS;
+
+    connectedCallback() {
+        this.loadStatus();
+    }
+
+    async loadStatus() {
+        this.isLoading = true;
+
+        try {
+            this.status = await getSubscriptionStatus();
+            // Until a webhook is registered, start from the events a handler is mapped to
+            this.selectedEventTypes = this.status.eventTypes
+                .filter(eventType => (this.status.isRegistered ? eventType.subscribed : eventType.handled))
+                .map(eventType => eventType.name);
+            this.error = null;
+        } catch (error) {
+            console.error('Error loading webhook subscription:', error);
+            this.error = error.body?.message || error.message;
+            this.status = null;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    get eventTypes() {
+        return this.status ? this.status.eventTypes : [];
+    }
+
+    get hasStatus() {
+        return !!this.status;
+    }
+
+    get isRegistered() {
+        return this.status?.isRegistered === true;
+    }
+
+    // The webhook exists but signatures will not verify until the configured ID matches it
+    get showWebhookIdMismatch() {
+        return this.isRegistered && !this.status.isWebhookIdCurrent;
+    }
+
+    get hasMissingEventTypes() {
+        return this.status?.missingEventTypes?.length > 0;
+    }
+
+    get hasUnhandledEventTypes() {
+        return this.status?.unhandledEventTypes?.length > 0;
+    }
+
+    get missingEventTypesLabel() {
+        return this.hasMissingEventTypes ? this.status.missingEventTypes.join(', ') : '';
+    }
+
+    get unhandledEventTypesLabel() {
+        return this.hasUnhandledEventTypes ? this.status.unhandledEventTypes.join(', ') : '';
+    }
+
+    get saveLabel() {
+        return this.isRegistered ? 'Update Subscription' : 'Register Webhook';
+    }
+
+    get isSaveDisabled() {
+        return this.isLoading || !this.hasStatus || this.selectedEventTypes.length === 0;
+    }
+
+    get isDeleteDisabled() {
+        return this.isLoading || !this.isRegistered;
+    }
+
+    handleRowSelection(event) {
+        this.selectedEventTypes = event.detail.selectedRows.map(row => row.name);
+    }
+
+    handleSelectHandled() {
+        this.selectedEventTypes = this.eventTypes.filter(eventType => eventType.handled).map(eventType => eventType.name);
+    }
+
+    async handleSave() {
+        this.isLoading = true;
+
+        try {
+            const webhookId = await saveSubscription({ eventTypes: this.selectedEventTypes });
+            const message = webhookId === this.status.configuredWebhookId
+                ? 'Webhook subscription updated'
+                : `Webhook ${webhookId} registered; the Webhook ID is being saved to the PayPal configuration`;
+            this.showToast('Success', message, 'success');
+            await this.loadStatus();
+        } catch (error) {
+            console.error('Error saving webhook subscription:', error);
+            this.showToast('Error', 'Failed to save webhook subscription: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleDelete() {
+        const confirmed = await LightningConfirm.open({
+            message: 'PayPal will stop sending webhook events to Salesforce until a webhook is registered again.',
+            label: 'Delete PayPal Webhook',
+            theme: 'warning'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        this.isLoading = true;
+
+        try {
+            await deleteSubscription();
+            this.showToast('Success', 'Webhook deleted', 'success');
+            await this.loadStatus();
+        } catch (error) {
+            console.error('Error deleting webhook subscription:', error);
+            this.showToast('Error', 'Failed to delete webhook: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    refreshData() {
+        return this.loadStatus();
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file
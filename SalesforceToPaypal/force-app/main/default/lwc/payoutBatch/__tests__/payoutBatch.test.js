@@ -0,0 +1,124 @@
+import { createElement } from 'lwc';
+import PayoutBatch from 'c/payoutBatch';
+import getPayoutBatch from '@salesforce/apex/PayPalPayoutService.getPayoutBatch';
+import submitPayoutBatch from '@salesforce/apex/PayPalPayoutService.submitPayoutBatch';
+import refreshPayoutBatch from '@salesforce/apex/PayPalPayoutService.refreshPayoutBatch';
+
+jest.mock(
+    '@salesforce/apex/PayPalPayoutService.getPayoutBatch',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalPayoutService.submitPayoutBatch',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalPayoutService.refreshPayoutBatch',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const mockDraftBatch = {
+    Id: 'a08000000000001',
+    Name: 'PPB-00000001',
+    Status__c: 'Draft',
+    Currency_Code__c: 'USD',
+    Total_Amount__c: 75,
+    Payout_Items__r: [
+        {
+            Id: 'a09000000000001',
+            Name: 'PPO-00000001',
+            Contact__r: { Name: 'Pat Partner' },
+            Receiver_Email__c: 'pat@example.com',
+            Amount__c: 50,
+            Status__c: 'Draft'
+        },
+        {
+            Id: 'a09000000000002',
+            Name: 'PPO-00000002',
+            Contact__r: { Name: 'Alex Affiliate' },
+            Receiver_Email__c: 'alex@example.com',
+            Amount__c: 25,
+            Status__c: 'Draft'
+        }
+    ]
+};
+
+describe('c-payout-batch', () => {
+    const flushPromises = () => Promise.resolve();
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-payout-batch', {
+            is: PayoutBatch
+        });
+        element.recordId = 'a08000000000001';
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('lists the batch items with their contacts and amounts', async () => {
+        const element = createComponent();
+
+        getPayoutBatch.emit(mockDraftBatch);
+        await flushPromises();
+
+        expect(getPayoutBatch.getLastConfig()).toEqual({ batchId: 'a08000000000001' });
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data).toHaveLength(2);
+        expect(dataTable.data[0].contactName).toBe('Pat Partner');
+        expect(dataTable.data[0].formattedAmount).toContain('50.00');
+        expect(element.shadowRoot.querySelector('[data-id="batch-total"]').textContent).toContain('75.00');
+    });
+
+    it('submits a draft batch', async () => {
+        submitPayoutBatch.mockResolvedValue('Pending');
+        const element = createComponent();
+
+        getPayoutBatch.emit(mockDraftBatch);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="refresh-status-btn"]')).toBeNull();
+        element.shadowRoot.querySelector('[data-id="submit-btn"]').click();
+        await flushPromises();
+
+        expect(submitPayoutBatch).toHaveBeenCalledWith({ batchId: 'a08000000000001' });
+    });
+
+    it('refreshes the status of a submitted batch', async () => {
+        refreshPayoutBatch.mockResolvedValue('Success');
+        const element = createComponent();
+
+        getPayoutBatch.emit({ ...mockDraftBatch, Status__c: 'Processing', PayPal_Batch_ID__c: 'PAYOUTBATCH123' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="submit-btn"]')).toBeNull();
+        element.shadowRoot.querySelector('[data-id="refresh-status-btn"]').click();
+        await flushPromises();
+
+        expect(refreshPayoutBatch).toHaveBeenCalledWith({ batchId: 'a08000000000001' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getPayoutBatch from '@salesforce/apex/PayPalPayoutService.getPayoutBatch';
+import submitPayoutBatch from '@salesforce/apex/PayPalPayoutService.submitPayoutBatch';
+import refreshPayoutBatch from '@salesforce/apex/PayPalPayoutService.refreshPayoutBatch';
+import { formatCurrency } from 'c/currencyUtils';
+
+const COLUMNS = [
+    {
+        label: 'Item',
+        fieldName: 'Name',
+        type: 'text'
+    },
+    {
+        label: 'Contact',
+        fieldName: 'contactName',
+        type: 'text'
+    },
+    {
+        label: 'Receiver',
+        fieldName: 'Receiver_Email__c',
+        type: 'email'
+    },
+    {
+        label: 'Amount',
+        fieldName: 'formattedAmount',
+        type: 'text'
+    },
+    {
+        label: 'Status',
+        fieldName: 'Status__c',
+        type: 'text'
+    },
+    {
+        label: 'Fee',
+        fieldName: 'formattedFee',
+        type: 'text'
+    },
+    {
+        label: 'Transaction ID',
+        fieldName: 'Transaction_ID__c',
+        type: 'text'
+    },
+    {
+        label: 'Error',
+        fieldName: 'Error_Message__c',
+        type: 'text',
+        wrapText: true
+    }
+];
+
+export default class PayoutBatch extends LightningElement {
+    @api recordId;
+
+    @track batch;
+    @track items = [];
+    @track isLoading = true;
+    @track error;
+
+    columns = COLUMNS;
+    wiredBatchResult;
+
+    @wire(getPayoutBatch, { batchId: '$recordId' })
+    wiredBatch(result) {
+        this.wiredBatchResult = result;
+        if (result.data) {
+            const batch = result.data;
+            this.batch = batch;
+            this.items = (batch.Payout_Items__r || []).map(item => ({
+                ...item,
+                contactName: item.Contact__r?.Name,
+                formattedAmount: formatCurrency(item.Amount__c, batch.Currency_Code__c),
+                formattedFee: formatCurrency(item.Fee__c, batch.Currency_Code__c)
+            }));
+            this.error = null;
+            this.isLoading = false;
+        } else if (result.error) {
+            this.error = result.error;
+            this.batch = null;
+            this.items = [];
+            this.isLoading = false;
+            this.showToast('Error', 'Failed to load payout batch', 'error');
+        }
+    }
+
+    get hasItems() {
+        return this.items && this.items.length > 0;
+    }
+
+    get isDraft() {
+        return this.batch?.Status__c === 'Draft';
+    }
+
+    get isSubmitted() {
+        return !!this.batch?.PayPal_Batch_ID__c;
+    }
+
+    get isSubmitDisabled() {
+        return this.isLoading || !this.hasItems;
+    }
+
+    get statusLabel() {
+        return this.batch?.Status__c;
+    }
+
+    get formattedTotal() {
+        return this.batch ? formatCurrency(this.batch.Total_Amount__c || 0, this.batch.Currency_Code__c) : '';
+    }
+
+    get formattedFees() {
+        return this.batch ? formatCurrency(this.batch.Fees__c || 0, this.batch.Currency_Code__c) : '';
+    }
+
+    handleSubmit() {
+        return this.runAction(() => submitPayoutBatch({ batchId: this.recordId }), 'Payout batch submitted to PayPal');
+    }
+
+    handleRefreshStatus() {
+        return this.runAction(() => refreshPayoutBatch({ batchId: this.recordId }), 'Payout status refreshed');
+    }
+
+    async runAction(action, successMessage) {
+        this.isLoading = true;
+
+        try {
+            await action();
+            this.showToast('Success', successMessage, 'success');
+            await refreshApex(this.wiredBatchResult);
+        } catch (error) {
+            console.error('Payout action error:', error);
+            this.showToast('Error', 'Payout action failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { createElement } from 'lwc';
+import SavedPaymentMethods from 'c/savedPaymentMethods';
+import getSavedPaymentMethods from '@salesforce/apex/PayPalVaultService.getSavedPaymentMethods';
+import deleteSavedPaymentMethod from '@salesforce/apex/PayPalVaultService.deleteSavedPaymentMethod';
+
+jest.mock(
+    '@salesforce/apex/PayPalVaultService.getSavedPaymentMethods',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PayPalVaultService.deleteSavedPaymentMethod',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const mockSavedMethods = [
+    {
+        id: 'a0B000000000001',
+        payerEmail: 'buyer@example.com',
+        consentDate: '2024-01-15T10:00:00.000Z',
+        lastUsedDate: '2024-02-01T10:00:00.000Z'
+    }
+];
+
+describe('c-saved-payment-methods', () => {
+    const flushPromises = () => Promise.resolve();
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-saved-payment-methods', {
+            is: SavedPaymentMethods
+        });
+        element.recordId = '003000000000001';
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('lists the saved PayPal accounts for the record', async () => {
+        const element = createComponent();
+
+        getSavedPaymentMethods.emit(mockSavedMethods);
+        await flushPromises();
+
+        expect(getSavedPaymentMethods.getLastConfig()).toEqual({ recordId: '003000000000001' });
+        const dataTable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(dataTable.data).toHaveLength(1);
+        expect(dataTable.data[0].payerEmail).toBe('buyer@example.com');
+    });
+
+    it('shows an empty message without saved accounts', async () => {
+        const element = createComponent();
+
+        getSavedPaymentMethods.emit([]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-id="empty-message"]')).not.toBeNull();
+    });
+
+    it('deletes a saved account from the row action', async () => {
+        deleteSavedPaymentMethod.mockResolvedValue();
+        const element = createComponent();
+
+        getSavedPaymentMethods.emit(mockSavedMethods);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(new CustomEvent('rowaction', {
+            detail: {
+                action: { name: 'delete' },
+                row: mockSavedMethods[0]
+            }
+        }));
+        await flushPromises();
+
+        expect(deleteSavedPaymentMethod).toHaveBeenCalledWith({ paymentMethodId: 'a0B000000000001', recordId: '003000000000001' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getSavedPaymentMethods from '@salesforce/apex/PayPalVaultService.getSavedPaymentMethods';
+import deleteSavedPaymentMethod from '@salesforce/apex/PayPalVaultService.deleteSavedPaymentMethod';
+
+const COLUMNS = [
+    {
+        label: 'PayPal Account',
+        fieldName: 'payerEmail',
+        type: 'email'
+    },
+    {
+        label: 'Saved',
+        fieldName: 'consentDate',
+        type: 'date',
+        typeAttributes: {
+            year: 'numeric',
+            month: 'short',
+            day: '2-digit'
+        }
+    },
+    {
+        label: 'Last Used',
+        fieldName: 'lastUsedDate',
+        type: 'date',
+        typeAttributes: {
+            year: 'numeric',
+            month: 'short',
+            day: '2-digit'
+        }
+    },
+    {
+        type: 'action',
+        typeAttributes: {
+            rowActions: [{ label: 'Delete', name: 'delete' }]
+        }
+    }
+];
+
+export default class SavedPaymentMethods extends LightningElement {
+    @api recordId;
+
+    @track savedPaymentMethods = [];
+    @track isLoading = true;
+    @track error;
+
+    columns = COLUMNS;
+    wiredSavedPaymentMethodsResult;
+
+    @wire(getSavedPaymentMethods, { recordId: '$recordId' })
+    wiredSavedPaymentMethods(result) {
+        this.wiredSavedPaymentMethodsResult = result;
+        if (result.data) {
+            this.savedPaymentMethods = result.data;
+            this.error = null;
+            this.isLoading = false;
+        } else if (result.error) {
+            this.error = result.error;
+            this.savedPaymentMethods = [];
+            this.isLoading = false;
+            this.showToast('Error', 'Failed to load saved payment methods', 'error');
+        }
+    }
+
+    get hasSavedPaymentMethods() {
+        return this.savedPaymentMethods && this.savedPaymentMethods.length > 0;
+    }
+
+    // Deleting also removes the account from the PayPal vault, so it cannot be charged again
+    async handleRowAction(event) {
+        if (event.detail.action.name !== 'delete') {
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            await deleteSavedPaymentMethod({ paymentMethodId: event.detail.row.id, recordId: this.recordId });
+            this.showToast('Success', 'Saved PayPal account deleted', 'success');
+            await refreshApex(this.wiredSavedPaymentMethodsResult);
+        } catch (error) {
+            console.error('Error deleting saved payment method:', error);
+            this.showToast('Error', 'Failed to delete saved PayPal account: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    refreshData() {
+        return refreshApex(this.wiredSavedPaymentMethodsResult);
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+}
\ No newline at end of file